@@ -8,7 +8,8 @@ document.addEventListener('DOMContentLoaded', () => {
     showToolbar: true,
     toolbarPosition: 'top',
     toolbarContainer: document.body,
-    showClearButtons: false
+    showClearButtons: false,
+    locale: 'tr'
   });
 
   // Attach VectorPen first
@@ -0,0 +1,122 @@
+/**
+ * Tests of the DOM-free core. Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const VectorPenCore = require('../vector-pen-core');
+
+const pen = (points, extra = {}) => ({
+  type: 'pen',
+  color: '#000000',
+  width: 2,
+  points: points.map(([x, y]) => ({ x, y })),
+  ...extra
+});
+
+test('readDocument() turns serialized strokes into stroke records', () => {
+  const core = new VectorPenCore({ clientId: 'test' });
+  const { width, height, layers, strokes } = core.readDocument(JSON.stringify({
+    version: 2,
+    width: 400,
+    height: 300,
+    strokes: [pen([[10, 10], [50, 50]])]
+  }));
+
+  assert.strictEqual(width, 400);
+  assert.strictEqual(height, 300);
+  assert.deepStrictEqual(layers, [{ name: 'default', visible: true, opacity: 1, locked: false }]);
+  assert.strictEqual(strokes.length, 1);
+  assert.strictEqual(strokes[0].id, 'test-1');
+  assert.strictEqual(strokes[0].layer, 'default');
+  assert.strictEqual(strokes[0].pathData, core.getStrokePathData(strokes[0]));
+});
+
+test('readDocument() rejects documents without strokes or from newer versions', () => {
+  const core = new VectorPenCore();
+  assert.throws(() => core.readDocument({ width: 10, height: 10 }), /no strokes array/);
+  assert.throws(() => core.readDocument({ version: 99, strokes: [] }), /unsupported document version/);
+});
+
+test('toSVG() leaves out hidden layers', () => {
+  const core = new VectorPenCore();
+  const svg = core.toSVG({
+    version: 2,
+    width: 100,
+    height: 100,
+    layers: [{ name: 'shown' }, { name: 'hidden', visible: false }],
+    strokes: [pen([[0, 0], [10, 10]], { layer: 'shown', color: '#ff0000' }), pen([[0, 0], [10, 10]], { layer: 'hidden', color: '#00ff00' })]
+  }, { width: 50 });
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="50" height="100" viewBox="0 0 100 100"/);
+  assert.match(svg, /#ff0000/);
+  assert.doesNotMatch(svg, /#00ff00/);
+});
+
+test('toSVG() keeps untrusted document values out of the markup', () => {
+  const core = new VectorPenCore();
+  const payload = '1"><script>alert(1)</script><x a="';
+  const svg = core.toSVG({
+    version: 2,
+    width: `100${payload}`,
+    height: 100,
+    layers: [{ name: payload, opacity: payload }],
+    strokes: [
+      pen([[payload, 0], [10, payload]], { color: payload, width: payload, linecap: payload }),
+      { type: 'rectangle', color: '#000', width: 2, params: { x: 0, y: 0, width: 10, height: 10, rotation: payload } },
+      {
+        type: 'text',
+        color: '#000',
+        fontSize: payload,
+        fontFamily: payload,
+        text: payload,
+        params: { x: 0, y: 0, width: 10, height: 10, rotation: payload }
+      }
+    ]
+  }, { height: payload });
+
+  assert.doesNotMatch(svg, /<script/);
+  assert.doesNotMatch(svg, /<x /);
+  // Numbers are read up to the first character that can't be part of one
+  assert.match(svg, /width="1001" height="1" viewBox="0 0 1001 100"/);
+  assert.match(svg, /<g class="drawing-layer" opacity="1">/);
+  assert.match(svg, /transform="rotate\(1 5 5\)"/);
+});
+
+test('toSVG() needs a document size', () => {
+  const core = new VectorPenCore();
+  assert.throws(() => core.toSVG({ version: 2, width: 'wide', height: 100, strokes: [] }), /no size/);
+});
+
+test('simplifyPoints() drops points within the tolerance', () => {
+  const core = new VectorPenCore();
+  const points = [{ x: 0, y: 0 }, { x: 5, y: 0.2 }, { x: 10, y: 0 }, { x: 10, y: 10 }];
+
+  assert.deepStrictEqual(core.simplifyPoints(points, 1), [points[0], points[2], points[3]]);
+  assert.deepStrictEqual(core.simplifyPoints(points, 0.1), points);
+});
+
+test('eraseStrokes() cuts strokes in partial mode and deletes them in stroke mode', () => {
+  const core = new VectorPenCore({ clientId: 'test' });
+  const { strokes } = core.readDocument({ version: 2, width: 100, height: 100, strokes: [pen([[0, 50], [100, 50]])] });
+  const from = { x: 50, y: 0 };
+  const to = { x: 50, y: 100 };
+
+  const cut = core.eraseStrokes(strokes, from, to, { radius: 5 });
+  assert.strictEqual(cut.length, 2);
+  assert.ok(cut.every(piece => piece.clock === strokes[0].clock && piece.id !== strokes[0].id));
+  assert.ok(Math.max(...cut[0].points.map(point => point.x)) < 44.01);
+  assert.ok(Math.min(...cut[1].points.map(point => point.x)) > 55.99);
+
+  assert.deepStrictEqual(core.eraseStrokes(strokes, from, to, { radius: 5, mode: 'stroke' }), []);
+  assert.strictEqual(core.eraseStrokes(strokes, { x: 0, y: 0 }, { x: 100, y: 0 }, { radius: 5 }), strokes);
+  assert.strictEqual(core.eraseStrokes(strokes, from, to, { radius: 5, layer: 'other' }), strokes);
+});
+
+test('getStrokePathData() draws fixed-width strokes as centre lines and shapes from their params', () => {
+  const core = new VectorPenCore();
+  assert.strictEqual(core.getStrokePathData(pen([[0, 0], [10, 0]])), 'M 0 0 L 10 0');
+  assert.strictEqual(
+    core.getStrokePathData({ type: 'line', width: 2, params: { x1: 0, y1: 0, x2: 10, y2: 10 } }),
+    'M 0 0 L 10 10'
+  );
+});
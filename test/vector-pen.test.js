@@ -0,0 +1,88 @@
+/**
+ * Tests of VectorPen in a simulated browser. They need jsdom and are skipped
+ * where it isn't installed. Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+let JSDOM = null;
+try {
+  ({ JSDOM } = require('jsdom'));
+} catch (error) {
+  // The tests below are skipped
+}
+const skip = JSDOM ? false : 'jsdom is not installed';
+
+/**
+ * A window with VectorPen loaded, where every element lays out as a 400x300 box
+ */
+const createWindow = body => {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { runScripts: 'outside-only', pretendToBeVisual: true });
+  window.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+  window.HTMLElement.prototype.getBoundingClientRect = () => ({ left: 0, top: 0, right: 400, bottom: 300, width: 400, height: 300, x: 0, y: 0 });
+  window.Element.prototype.setPointerCapture = () => {};
+  window.Element.prototype.releasePointerCapture = () => {};
+  if (!window.PointerEvent) {
+    window.PointerEvent = class extends window.MouseEvent {
+      constructor(type, { pointerId = 1, pointerType = 'mouse', pressure = 0.5, width = 1, height = 1, ...init } = {}) {
+        super(type, init);
+        Object.assign(this, { pointerId, pointerType, pressure, tiltX: 0, tiltY: 0, width, height, isPrimary: true });
+      }
+    };
+  }
+  ['vector-pen-core.js', 'vector-pen.js'].forEach(file => {
+    window.eval(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+  });
+  return window;
+};
+
+const draw = (window, element, points) => {
+  const dispatch = (type, [x, y]) => element.dispatchEvent(new window.PointerEvent(type, { bubbles: true, clientX: x, clientY: y }));
+  dispatch('pointerdown', points[0]);
+  points.slice(1).forEach(point => dispatch('pointermove', point));
+  dispatch('pointerup', points[points.length - 1]);
+};
+
+const coordinates = stroke => stroke.points.map(point => [point.x, point.y]);
+
+test('a stored drawing is restored once the image of its element has loaded', { skip }, () => {
+  const window = createWindow('<div id="photo"><img></div>');
+  const doc = {
+    version: 2,
+    width: 800,
+    height: 300,
+    strokes: [{ type: 'pen', color: '#000000', width: 2, points: [{ x: 100, y: 100 }, { x: 700, y: 300 }] }]
+  };
+  const adapter = { load: () => doc, save: () => {}, remove: () => {} };
+  const pen = new window.VectorPen({ persistence: adapter }).attach('#photo');
+  assert.strictEqual(pen.paths.photo.length, 0);
+
+  const img = window.document.querySelector('img');
+  Object.defineProperties(img, {
+    complete: { value: true },
+    naturalWidth: { value: 800 },
+    naturalHeight: { value: 300 }
+  });
+  img.dispatchEvent(new window.Event('load'));
+
+  assert.strictEqual(pen.paths.photo.length, 1);
+  assert.deepStrictEqual(coordinates(pen.paths.photo[0]), [[100, 100], [700, 300]]);
+});
+
+test('elements observed while a tool is active can be drawn on', { skip }, async () => {
+  const window = createWindow('');
+  const pen = new window.VectorPen().observe('.drawing-target');
+  pen.activateTool('pen');
+
+  const element = window.document.createElement('div');
+  element.id = 'late';
+  element.className = 'drawing-target';
+  window.document.body.appendChild(element);
+  await new Promise(resolve => window.setTimeout(resolve));
+
+  assert.strictEqual(element.querySelector('.vector-pen-layer').style.pointerEvents, 'auto');
+  draw(window, element, [[10, 10], [50, 50]]);
+  assert.strictEqual(pen.paths.late.length, 1);
+});
@@ -0,0 +1,1217 @@
+/**
+ * VectorPenCore - The DOM-free part of VectorPen: the stroke document model,
+ * stroke geometry and SVG generation. It runs in browsers and in Node, where
+ * it renders stored drawings to SVG strings without a document.
+ */
+(function (root) {
+
+// Version of the JSON document produced by serialize(). Version 1 stored
+// element pixels, version 2 stores drawing space coordinates.
+const SERIALIZATION_VERSION = 2;
+
+// Tools that draw a geometric shape instead of a freehand stroke
+const SHAPE_TOOLS = ['line', 'arrow', 'rectangle', 'ellipse'];
+
+// Shape parameters that are positions or sizes along each axis, used when
+// mapping shapes between coordinate spaces
+const SHAPE_X_POSITIONS = ['x', 'x1', 'x2', 'cx'];
+const SHAPE_Y_POSITIONS = ['y', 'y1', 'y2', 'cy'];
+const SHAPE_X_SIZES = ['width', 'rx'];
+const SHAPE_Y_SIZES = ['height', 'ry'];
+
+// Line caps and joins each kind of stroke is drawn with unless its style
+// sets them. Pen ink keeps the SVG defaults.
+const LINE_STYLES = {
+  pen: { linecap: 'butt', linejoin: 'miter' },
+  highlighter: { linecap: 'square', linejoin: 'round' },
+  line: { linecap: 'round', linejoin: 'round' },
+  arrow: { linecap: 'round', linejoin: 'round' }, // Keeps the corners of arrow heads closed
+  rectangle: { linecap: 'butt', linejoin: 'miter' },
+  ellipse: { linecap: 'butt', linejoin: 'miter' }
+};
+
+// Line height of text annotations, relative to their font size
+const TEXT_LINE_HEIGHT = 1.2;
+
+// Name of the layer every drawing starts with
+const DEFAULT_LAYER = 'default';
+
+class VectorPenCore {
+  constructor(options = {}) {
+    this.options = {
+      strokeWidth: options.strokeWidth || 2,
+      strokeColor: options.strokeColor || '#000000',
+      eraserWidth: options.eraserWidth || 40,
+      highlighterOpacity: options.highlighterOpacity || 0.5,
+      fontSize: options.fontSize || 20, // Size of new text annotations in pixels
+      fontFamily: options.fontFamily || 'sans-serif',
+      clientId: options.clientId || Math.random().toString(36).slice(2, 10), // Identifies this instance in a shared drawing
+      ...options
+    };
+
+    // Strokes carry an id and the Lamport time they were created at, which
+    // orders them the same way on every client.
+    this.clientId = this.options.clientId;
+    this.clock = 0; // Lamport clock
+    this.strokeCounter = 0; // Source of stroke ids
+  }
+
+  /**
+   * Read a serialized document into stroke records in its own coordinates
+   * @param {Object|string} data - A document from serialize(), or its JSON string
+   * @returns {Object} - { width, height, layers, strokes }
+   */
+  readDocument(data) {
+    const doc = this._parseDocument(data);
+    if (!Array.isArray(doc.strokes)) {
+      throw new Error('VectorPen: document has no strokes array');
+    }
+
+    const layers = (Array.isArray(doc.layers) && doc.layers.length > 0 ? doc.layers : [{ name: DEFAULT_LAYER }])
+      .map(layer => this._normalizeLayer(layer));
+
+    return {
+      width: doc.width,
+      height: doc.height,
+      layers,
+      strokes: this._mapStrokes(doc.strokes, { layer: layers[layers.length - 1].name })
+    };
+  }
+
+  /**
+   * Render a serialized document as a standalone SVG image. Hidden layers are left out.
+   * @param {Object|string} data - A document from serialize(), or its JSON string
+   * @param {Object} [options]
+   * @param {number} [options.width] - Output width, defaults to the document width
+   * @param {number} [options.height] - Output height, defaults to the document height
+   * @returns {string} - SVG markup
+   */
+  toSVG(data, options = {}) {
+    const { width, height, layers, strokes } = this.readDocument(data);
+    if (!width || !height) {
+      throw new Error('VectorPen: document has no size');
+    }
+
+    const groups = layers.filter(layer => layer.visible).map(layer => {
+      // Strokes on unknown layers are drawn on the bottom one, like in the browser
+      const layerStrokes = strokes.filter(stroke => stroke.layer === layer.name ||
+        (layer === layers[0] && !layers.some(other => other.name === stroke.layer)));
+      const highlighter = layerStrokes.filter(stroke => stroke.type === 'highlighter');
+      const ink = layerStrokes.filter(stroke => stroke.type !== 'highlighter');
+
+      return `<g class="drawing-layer" opacity="${layer.opacity}">` +
+        `<g class="highlighter-layer">${highlighter.map(stroke => this._strokeToSVG(stroke)).join('')}</g>` +
+        `<g class="ink-layer">${ink.map(stroke => this._strokeToSVG(stroke)).join('')}</g>` +
+        '</g>';
+    });
+
+    const outputWidth = this._readNumber(options.width, 0) || width;
+    const outputHeight = this._readNumber(options.height, 0) || height;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" ` +
+      `height="${outputHeight}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">` +
+      `<g class="drawing-group">${groups.join('')}</g></svg>`;
+  }
+
+  /**
+   * SVG path data of a stroke record
+   * @param {Object} stroke - Stroke record, e.g. from readDocument()
+   * @returns {string} - Value for the d attribute of a <path>
+   */
+  getStrokePathData(stroke) {
+    return this._generateStrokeData(stroke);
+  }
+
+  /**
+   * Thin out a polyline, dropping points that deviate from it less than a tolerance
+   * @param {Array<{x: number, y: number}>} points
+   * @param {number} tolerance - Largest distance a dropped point may have from the result
+   * @returns {Array} - The kept points
+   */
+  simplifyPoints(points, tolerance) {
+    return this._simplifyPoints(points, tolerance);
+  }
+
+  /**
+   * Apply one eraser movement to a list of stroke records
+   * @param {Array} strokes - Stroke records, e.g. from readDocument()
+   * @param {{x: number, y: number}} from - Where the eraser moved from
+   * @param {{x: number, y: number}} to - Where the eraser moved to
+   * @param {Object} [options]
+   * @param {number} [options.radius] - Eraser radius, defaults to half the eraserWidth option
+   * @param {string} [options.mode='partial'] - 'partial' cuts strokes, 'stroke' deletes them
+   * @param {string} [options.layer] - Only erase strokes on this layer
+   * @returns {Array} - The same array if nothing was touched, otherwise a new one
+   */
+  eraseStrokes(strokes, from, to, options = {}) {
+    const radius = options.radius || this.options.eraserWidth / 2;
+    return this._erasePaths(strokes, from, to, radius, options.mode || 'partial', options.layer);
+  }
+
+  /**
+   * SVG markup of a single stroke record
+   * @private
+   */
+  _strokeToSVG(stroke) {
+    if (stroke.type === 'text') {
+      const layout = this._getTextLayout(stroke);
+      const transform = layout.transform ? ` transform="${layout.transform}"` : '';
+      const tspans = layout.lines
+        .map(line => `<tspan x="${line.x}" y="${line.y}">${this._escapeXML(line.text)}</tspan>`)
+        .join('');
+      return `<g class="vector-pen-stroke vector-pen-text"><text fill="${this._escapeXML(stroke.color)}" ` +
+        `font-size="${stroke.fontSize}" font-family="${this._escapeXML(stroke.fontFamily)}"${transform}>${tspans}</text></g>`;
+    }
+
+    const attributes = this._getStrokeAttributes(stroke);
+    const paint = Object.keys(attributes)
+      .map(name => ` ${name}="${this._escapeXML(attributes[name])}"`)
+      .join('');
+    const blend = stroke.type === 'highlighter' ? ' style="mix-blend-mode: multiply"' : '';
+    return `<path class="vector-pen-stroke"${paint}${blend} d="${stroke.pathData}"/>`;
+  }
+
+  /**
+   * Paint attributes of a stroke path. Variable-width strokes are filled
+   * outlines, fixed-width strokes are stroked centre lines. Attributes at
+   * their SVG default are left out.
+   * @private
+   */
+  _getStrokeAttributes(stroke) {
+    const style = this._readLineStyle(stroke, stroke.type);
+
+    if (stroke.sensitivity > 0) {
+      const attributes = { fill: stroke.color, stroke: 'none' };
+      if (style.opacity < 1) attributes['fill-opacity'] = style.opacity;
+      return attributes;
+    }
+
+    const attributes = { fill: 'none', stroke: stroke.color, 'stroke-width': stroke.width };
+    if (style.linecap !== 'butt') attributes['stroke-linecap'] = style.linecap;
+    if (style.linejoin !== 'miter') attributes['stroke-linejoin'] = style.linejoin;
+    if (style.opacity < 1) attributes['stroke-opacity'] = style.opacity;
+    if (style.dash) {
+      // Dashes are stored in stroke widths so they scale with the stroke
+      attributes['stroke-dasharray'] = style.dash.map(length => length * stroke.width).join(' ');
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Opacity, dash pattern, line cap and line join of a stroke. Strokes
+   * stored before they had a style get the look they were drawn with.
+   * @private
+   * @param {Object} stroke - Stroke record or serialized stroke
+   * @param {string} type - Kind of stroke
+   * @returns {Object} - { opacity, dash, linecap, linejoin }
+   */
+  _readLineStyle(stroke, type) {
+    const lineStyle = LINE_STYLES[type] || LINE_STYLES.pen;
+    return {
+      opacity: stroke.opacity ?? (type === 'highlighter' ? this.options.highlighterOpacity : 1),
+      dash: Array.isArray(stroke.dash) && stroke.dash.length > 0 ? [...stroke.dash] : null,
+      linecap: stroke.linecap || lineStyle.linecap,
+      linejoin: stroke.linejoin || lineStyle.linejoin
+    };
+  }
+
+  /**
+   * Baseline positions of the lines of a text annotation, and the rotation
+   * around its centre
+   * @private
+   * @returns {Object} - { transform, lines: [{ x, y, text }] }
+   */
+  _getTextLayout(stroke) {
+    const { x, y, width, height, rotation } = stroke.params;
+    return {
+      transform: rotation ? `rotate(${rotation} ${x + width / 2} ${y + height / 2})` : null,
+      lines: stroke.text.split('\n').map((text, i) => ({
+        x,
+        y: y + stroke.fontSize * (TEXT_LINE_HEIGHT * i + 1),
+        text
+      }))
+    };
+  }
+
+  /**
+   * Escape text for use in SVG markup
+   * @private
+   */
+  _escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Layer entry with every field set
+   * @private
+   */
+  _normalizeLayer(layer) {
+    return {
+      name: layer.name,
+      visible: layer.visible !== false,
+      opacity: Math.min(Math.max(this._readNumber(layer.opacity, 1), 0), 1),
+      locked: layer.locked || false
+    };
+  }
+
+  /**
+   * Read a number from a document, which may come from anywhere. Numbers
+   * end up in SVG markup, so anything that is not one gets the fallback.
+   * @private
+   */
+  _readNumber(value, fallback) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  /**
+   * Turn serialized strokes into stroke records, mapping their coordinates
+   * with x * scaleX + offsetX (and likewise for y)
+   * @private
+   * @param {Array} source - Strokes of a serialized document
+   * @param {Object} [mapping]
+   * @param {number} [mapping.scaleX=1]
+   * @param {number} [mapping.scaleY=1]
+   * @param {number} [mapping.offsetX=0]
+   * @param {number} [mapping.offsetY=0]
+   * @param {number} [mapping.viewScale=1] - Pixels per unit, for strokes without a width
+   * @param {string} [mapping.layer] - Layer of strokes that don't name one
+   * @returns {Array} - Stroke records
+   */
+  _mapStrokes(source, mapping = {}) {
+    const { scaleX = 1, scaleY = 1, offsetX = 0, offsetY = 0, viewScale = 1, layer = DEFAULT_LAYER } = mapping;
+    const widthScale = Math.min(scaleX, scaleY);
+    const getWidth = (width, fallback) => {
+      const value = this._readNumber(width, 0);
+      return value > 0 ? value * widthScale : fallback / viewScale;
+    };
+
+    const mapParams = params => {
+      const mapped = {};
+      Object.keys(params).forEach(key => {
+        const value = this._readNumber(params[key], 0);
+        if (SHAPE_X_POSITIONS.includes(key)) mapped[key] = value * scaleX + offsetX;
+        else if (SHAPE_Y_POSITIONS.includes(key)) mapped[key] = value * scaleY + offsetY;
+        else if (SHAPE_X_SIZES.includes(key)) mapped[key] = value * scaleX;
+        else if (SHAPE_Y_SIZES.includes(key)) mapped[key] = value * scaleY;
+        else mapped[key] = value;
+      });
+      return mapped;
+    };
+
+    let strokes = [];
+    source.forEach(stroke => {
+      if (stroke.type === 'text' && stroke.params && typeof stroke.text === 'string') {
+        strokes.push({
+          id: stroke.id || this._createStrokeId(),
+          clock: stroke.clock || 0,
+          layer: stroke.layer || layer,
+          type: 'text',
+          color: stroke.color || this.options.strokeColor,
+          fontSize: getWidth(stroke.fontSize, this.options.fontSize),
+          fontFamily: stroke.fontFamily || this.options.fontFamily,
+          text: stroke.text,
+          createdAt: stroke.createdAt || 0,
+          params: mapParams(stroke.params)
+        });
+        return;
+      }
+
+      if (SHAPE_TOOLS.includes(stroke.type) && stroke.params) {
+        const params = mapParams(stroke.params);
+
+        const shape = {
+          id: stroke.id || this._createStrokeId(),
+          clock: stroke.clock || 0,
+          layer: stroke.layer || layer,
+          type: stroke.type,
+          color: stroke.color || this.options.strokeColor,
+          width: getWidth(stroke.width, this.options.strokeWidth),
+          ...this._readLineStyle(stroke, stroke.type),
+          createdAt: stroke.createdAt || 0,
+          params
+        };
+        shape.pathData = this._generateStrokeData(shape);
+        strokes.push(shape);
+        return;
+      }
+
+      if (!Array.isArray(stroke.points) || stroke.points.length < 2) return;
+
+      const points = stroke.points.map(point => ({
+        ...point,
+        x: this._readNumber(point.x, 0) * scaleX + offsetX,
+        y: this._readNumber(point.y, 0) * scaleY + offsetY
+      }));
+
+      // Older documents stored eraser passes as strokes; apply them to the geometry
+      if (stroke.type === 'eraser') {
+        const radius = getWidth(stroke.width, this.options.eraserWidth) / 2;
+        for (let i = 1; i < points.length; i++) {
+          strokes = this._erasePaths(strokes, points[i - 1], points[i], radius, 'partial');
+        }
+        return;
+      }
+
+      const type = stroke.type === 'highlighter' ? 'highlighter' : 'pen';
+      const record = {
+        id: stroke.id || this._createStrokeId(),
+        clock: stroke.clock || 0,
+        layer: stroke.layer || layer,
+        type,
+        color: stroke.color || this.options.strokeColor,
+        width: getWidth(stroke.width, this.options.strokeWidth),
+        ...this._readLineStyle(stroke, type),
+        sensitivity: stroke.sensitivity || 0,
+        pointerType: stroke.pointerType || null,
+        curve: stroke.curve || 'quadratic',
+        createdAt: stroke.createdAt || 0,
+        points
+      };
+      record.pathData = this._generateStrokeData(record);
+      strokes.push(record);
+    });
+
+    return strokes;
+  }
+
+  /**
+   * Plain JSON form of a stroke record
+   * @private
+   */
+  _serializeStroke(stroke) {
+    if (stroke.type === 'text') {
+      return {
+        id: stroke.id,
+        clock: stroke.clock,
+        layer: stroke.layer,
+        type: stroke.type,
+        color: stroke.color,
+        fontSize: stroke.fontSize,
+        fontFamily: stroke.fontFamily,
+        text: stroke.text,
+        createdAt: stroke.createdAt,
+        params: { ...stroke.params }
+      };
+    }
+
+    const style = this._readLineStyle(stroke, stroke.type);
+    return stroke.params ? {
+      id: stroke.id,
+      clock: stroke.clock,
+      layer: stroke.layer,
+      type: stroke.type,
+      color: stroke.color,
+      width: stroke.width,
+      ...style,
+      createdAt: stroke.createdAt,
+      params: { ...stroke.params }
+    } : {
+      id: stroke.id,
+      clock: stroke.clock,
+      layer: stroke.layer,
+      type: stroke.type,
+      color: stroke.color,
+      width: stroke.width,
+      ...style,
+      sensitivity: stroke.sensitivity,
+      pointerType: stroke.pointerType,
+      curve: stroke.curve,
+      createdAt: stroke.createdAt,
+      points: stroke.points.map(point => ({ ...point }))
+    };
+  }
+
+  /**
+   * Parse and validate a serialized document
+   * @private
+   */
+  _parseDocument(data) {
+    const doc = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!doc || typeof doc !== 'object') {
+      throw new Error('VectorPen: invalid drawing document');
+    }
+    if (doc.version > SERIALIZATION_VERSION) {
+      throw new Error(`VectorPen: unsupported document version ${doc.version}`);
+    }
+    // A missing or unreadable size is no size
+    return { ...doc, width: this._readNumber(doc.width, 0), height: this._readNumber(doc.height, 0) };
+  }
+
+  /**
+   * Generate an id for a new stroke, unique across clients
+   * @private
+   */
+  _createStrokeId() {
+    return `${this.clientId}-${++this.strokeCounter}`;
+  }
+
+  /**
+   * Drawing order of two strokes: by Lamport clock, then by id
+   * @private
+   */
+  _compareStrokes(a, b) {
+    if (a.clock !== b.clock) return a.clock - b.clock;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  }
+
+  /**
+   * Order two [clock, clientId] stamps
+   * @private
+   */
+  _compareStamps(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+  }
+
+  /**
+   * Strokes removed and added between two states of an element's paths
+   * @private
+   * @returns {{removed: Array<string>, added: Array<Object>}} - Removed stroke ids and added strokes
+   */
+  _diffPaths(before, after) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return {
+      removed: before.filter(stroke => !afterSet.has(stroke)).map(stroke => stroke.id),
+      added: after.filter(stroke => !beforeSet.has(stroke))
+    };
+  }
+
+  /**
+   * Remove strokes by id and insert strokes in clock order
+   * @private
+   * @returns {Array} - A new paths array
+   */
+  _applyDiff(paths, removed, added) {
+    const ids = new Set([...removed, ...added.map(stroke => stroke.id)]);
+    const result = paths.filter(stroke => !ids.has(stroke.id));
+    added.forEach(stroke => {
+      let index = result.length;
+      while (index > 0 && this._compareStrokes(result[index - 1], stroke) > 0) index--;
+      result.splice(index, 0, stroke);
+    });
+    return result;
+  }
+
+  /**
+   * Generate SVG path data for a stroke record
+   * @private
+   */
+  _generateStrokeData(stroke) {
+    if (stroke.params) {
+      return this._generateShapeData(stroke.type, stroke.params, stroke.width);
+    }
+    if (stroke.sensitivity > 0) {
+      return this._generateOutlineData(stroke.points, this._getPointWidths(stroke), stroke.curve);
+    }
+    return this._generatePathData(stroke.points, stroke.curve);
+  }
+
+  /**
+   * Generate SVG path data for a shape
+   * @private
+   */
+  _generateShapeData(type, params, strokeWidth) {
+    switch (type) {
+      case 'line':
+        return `M ${params.x1} ${params.y1} L ${params.x2} ${params.y2}`;
+      case 'arrow': {
+        const [left, right] = this._getArrowHead(params, strokeWidth);
+        return `M ${params.x1} ${params.y1} L ${params.x2} ${params.y2}` +
+          ` M ${left.x} ${left.y} L ${params.x2} ${params.y2} L ${right.x} ${right.y}`;
+      }
+      case 'rectangle': {
+        if (!params.rotation) {
+          return `M ${params.x} ${params.y} h ${params.width} v ${params.height} h ${-params.width} Z`;
+        }
+        const corners = this._getRectangleCorners(params);
+        return `M ${corners.map(corner => `${corner.x} ${corner.y}`).join(' L ')} Z`;
+      }
+      case 'ellipse': {
+        const { cx, cy, rx, ry } = params;
+        const rotation = params.rotation || 0;
+        const center = { x: cx, y: cy };
+        const start = this._rotatePoint({ x: cx - rx, y: cy }, center, rotation * Math.PI / 180);
+        const end = this._rotatePoint({ x: cx + rx, y: cy }, center, rotation * Math.PI / 180);
+        return `M ${start.x} ${start.y} A ${rx} ${ry} ${rotation} 1 0 ${end.x} ${end.y}` +
+          ` A ${rx} ${ry} ${rotation} 1 0 ${start.x} ${start.y} Z`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Get the corners of a rectangle shape, rotated around its centre
+   * @private
+   */
+  _getRectangleCorners(params) {
+    const { x, y, width, height } = params;
+    const center = { x: x + width / 2, y: y + height / 2 };
+    const rotation = (params.rotation || 0) * Math.PI / 180;
+
+    return [
+      { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+    ].map(corner => this._rotatePoint(corner, center, rotation));
+  }
+
+  /**
+   * Rotate a point around a centre by an angle in radians
+   * @private
+   */
+  _rotatePoint(point, center, angle) {
+    if (!angle) return { x: point.x, y: point.y };
+
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+    return {
+      x: center.x + dx * cos - dy * sin,
+      y: center.y + dx * sin + dy * cos
+    };
+  }
+
+  /**
+   * Get the two outer points of an arrow head, scaled with the stroke width
+   * @private
+   */
+  _getArrowHead(params, strokeWidth) {
+    const angle = Math.atan2(params.y2 - params.y1, params.x2 - params.x1);
+    const lineLength = Math.hypot(params.x2 - params.x1, params.y2 - params.y1);
+    const size = Math.min(Math.max(10, strokeWidth * 4), lineLength / 2);
+    const spread = Math.PI / 7;
+
+    return [angle + spread, angle - spread].map(direction => ({
+      x: params.x2 - Math.cos(direction) * size,
+      y: params.y2 - Math.sin(direction) * size
+    }));
+  }
+
+  /**
+   * Generate SVG path data from points
+   * @private
+   */
+  _generatePathData(points, curve) {
+    if (points.length < 2) return '';
+
+    return `M ${points[0].x} ${points[0].y}` +
+      this._generatePathSegments(points, curve, 0, points.length - 1);
+  }
+
+  /**
+   * Generate the path commands of some segments of a line through points.
+   * Segment i leads from around point i to around point i + 1, and only
+   * the last segment changes when more points are appended.
+   * @private
+   * @param {Array} points - All points of the line
+   * @param {string} curve - 'quadratic' or 'catmull-rom'
+   * @param {number} start - First segment
+   * @param {number} end - Segment to stop before
+   * @returns {string}
+   */
+  _generatePathSegments(points, curve, start, end) {
+    let pathData = '';
+
+    if (curve === 'catmull-rom') {
+      // A Catmull-Rom spline through every point, written as cubic Béziers
+      const round = value => Math.round(value * 100) / 100;
+      for (let i = start; i < end; i++) {
+        const p0 = points[Math.max(0, i - 1)];
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const p3 = points[Math.min(points.length - 1, i + 2)];
+        const c1x = round(p1.x + (p2.x - p0.x) / 6);
+        const c1y = round(p1.y + (p2.y - p0.y) / 6);
+        const c2x = round(p2.x - (p3.x - p1.x) / 6);
+        const c2y = round(p2.y - (p3.y - p1.y) / 6);
+        pathData += ` C ${c1x} ${c1y}, ${c2x} ${c2y}, ${p2.x} ${p2.y}`;
+      }
+      return pathData;
+    }
+
+    // Use quadratic curves to smooth the line, through the midpoints of
+    // the points, and a straight line to the last point
+    for (let i = start; i < end; i++) {
+      const point = points[i + 1];
+      if (i < points.length - 2) {
+        const c = (point.x + points[i + 2].x) / 2;
+        const d = (point.y + points[i + 2].y) / 2;
+        pathData += ` Q ${point.x} ${point.y}, ${c} ${d}`;
+      } else {
+        pathData += ` L ${point.x} ${point.y}`;
+      }
+    }
+
+    return pathData;
+  }
+
+  /**
+   * Generate a closed outline around points with a width per point
+   * @private
+   */
+  _generateOutlineData(points, widths, curve) {
+    if (points.length < 2) return '';
+
+    const left = [];
+    const right = [];
+    points.forEach((point, i) => {
+      const offset = this._getOutlinePoints(points, widths, i);
+      left.push(offset.left);
+      right.push(offset.right);
+    });
+
+    // Left side, round end cap, right side backwards, round start cap
+    return this._generatePathData(left, curve) +
+      this._getOutlineCap(widths[widths.length - 1], right[right.length - 1]) +
+      this._generatePathData(right.reverse(), curve).replace(/^M [^ ]+ [^ ]+/, '') +
+      this._getOutlineCap(widths[0], left[0]) + ' Z';
+  }
+
+  /**
+   * Points on both sides of an outline at a stroke point, offset along the
+   * normal of the neighbouring points' direction
+   * @private
+   * @returns {Object} - { left, right }
+   */
+  _getOutlinePoints(points, widths, i) {
+    const round = value => Math.round(value * 100) / 100;
+    const point = points[i];
+    const prev = points[Math.max(0, i - 1)];
+    const next = points[Math.min(points.length - 1, i + 1)];
+    const dx = next.x - prev.x;
+    const dy = next.y - prev.y;
+    const length = Math.hypot(dx, dy) || 1;
+    const nx = -dy / length * widths[i] / 2;
+    const ny = dx / length * widths[i] / 2;
+
+    return {
+      left: { x: round(point.x + nx), y: round(point.y + ny) },
+      right: { x: round(point.x - nx), y: round(point.y - ny) }
+    };
+  }
+
+  /**
+   * Round cap of an outline, as an arc to the other side
+   * @private
+   */
+  _getOutlineCap(width, to) {
+    const radius = Math.round(width / 2 * 100) / 100;
+    return ` A ${radius} ${radius} 0 0 0 ${to.x} ${to.y}`;
+  }
+
+  /**
+   * Generate the path data of a freehand stroke that is still being drawn.
+   * Points are only ever appended, so the segments later points can't
+   * change are kept in a cache and only the ends of the path are generated
+   * again. The result is the same as from _generateStrokeData().
+   * @private
+   * @param {Object} stroke - Pen or highlighter stroke
+   * @param {Object} cache - An empty object for a new stroke, then the same object on every update
+   * @returns {string}
+   */
+  _generateLiveStrokeData(stroke, cache) {
+    const { points, curve } = stroke;
+    const count = points.length;
+    if (count < 2) return '';
+
+    if (!(stroke.sensitivity > 0)) {
+      if (cache.pathData === undefined) {
+        cache.pathData = `M ${points[0].x} ${points[0].y}`;
+        cache.segments = 0;
+      }
+      // All but the last segment are settled
+      const settled = Math.max(count - 2, cache.segments);
+      cache.pathData += this._generatePathSegments(points, curve, cache.segments, settled);
+      cache.segments = settled;
+      return cache.pathData + this._generatePathSegments(points, curve, settled, count - 1);
+    }
+
+    if (cache.left === undefined) {
+      cache.left = [];
+      cache.right = [];
+      cache.leftData = '';
+      cache.rightData = '';
+      cache.segments = 0;
+    }
+    const widths = this._getPointWidths(stroke, cache);
+
+    // Outline points are settled once the next stroke point is known
+    for (let i = cache.left.length; i < count - 1; i++) {
+      const offset = this._getOutlinePoints(points, widths, i);
+      cache.left.push(offset.left);
+      cache.right.push(offset.right);
+    }
+    const last = this._getOutlinePoints(points, widths, count - 1);
+    const { left, right } = cache;
+    left.push(last.left);
+
+    // Segments that don't reach the last outline points are settled. The
+    // left side grows at its end, the reversed right side at its start.
+    const settled = Math.max(count - 3, cache.segments);
+    if (!cache.leftData) cache.leftData = `M ${left[0].x} ${left[0].y}`;
+    cache.leftData += this._generatePathSegments(left, curve, cache.segments, settled);
+    if (settled > cache.segments) {
+      // Right side segments between the new settled points, backwards, with
+      // a point of context on each side
+      const backwards = right.slice(Math.max(0, cache.segments - 1), settled + 2).reverse();
+      cache.rightData = this._generatePathSegments(backwards, curve, 1, settled - cache.segments + 1) + cache.rightData;
+    }
+    cache.segments = settled;
+
+    // The ends of both sides around the last point
+    right.push(last.right);
+    const backwards = right.slice(Math.max(0, settled - 1)).reverse();
+    const pathData = cache.leftData +
+      this._generatePathSegments(left, curve, settled, count - 1) +
+      this._getOutlineCap(widths[count - 1], last.right) +
+      this._generatePathSegments(backwards, curve, 0, count - 1 - settled) +
+      cache.rightData +
+      this._getOutlineCap(widths[0], left[0]) + ' Z';
+    left.pop();
+    right.pop();
+    return pathData;
+  }
+
+  /**
+   * Simplify a polyline with the Ramer-Douglas-Peucker algorithm, keeping
+   * the points that deviate more than the tolerance
+   * @private
+   */
+  _simplifyPoints(points, tolerance) {
+    if (points.length < 3) return points;
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+      const [first, last] = ranges.pop();
+      let farthest = -1;
+      let maxDistance = tolerance;
+      for (let i = first + 1; i < last; i++) {
+        const { distance } = this._segmentDistance(points[i], points[i], points[first], points[last]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          farthest = i;
+        }
+      }
+      if (farthest !== -1) {
+        keep[farthest] = true;
+        ranges.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  }
+
+  /**
+   * Compute the rendered width at every point of a stroke. Stylus pressure
+   * and tilt are used when available; other pointers thin out with speed.
+   * @private
+   * @param {Object} stroke - Freehand stroke
+   * @param {Object} [cache] - Widths of earlier calls while the stroke is drawn, only new points are computed
+   * @returns {Array}
+   */
+  _getPointWidths(stroke, cache = {}) {
+    const sensitivity = stroke.sensitivity || 0;
+    const hasPressure = stroke.pointerType === 'pen';
+    const widths = cache.widths || (cache.widths = []);
+    let smoothed = cache.smoothed ?? null;
+
+    for (let i = widths.length; i < stroke.points.length; i++) {
+      const point = stroke.points[i];
+      let pressure = point.pressure;
+
+      if (!hasPressure || !pressure) {
+        // Simulate pressure from velocity in px/ms: slow is heavy, fast is light
+        const prev = stroke.points[i - 1];
+        let speed = 0;
+        if (prev && point.t > prev.t) {
+          speed = Math.hypot(point.x - prev.x, point.y - prev.y) / (point.t - prev.t);
+        }
+        pressure = 0.65 - 0.4 * Math.min(speed / 2, 1);
+      }
+
+      // Smooth so the outline does not wobble from point to point
+      smoothed = smoothed === null ? pressure : smoothed + (pressure - smoothed) * 0.4;
+
+      let factor = 1 + sensitivity * (smoothed * 2 - 1);
+      const tilt = Math.min(Math.hypot(point.tiltX || 0, point.tiltY || 0) / 90, 1);
+      factor *= 1 + sensitivity * 0.5 * tilt;
+
+      widths.push(stroke.width * Math.max(factor, 0.1));
+    }
+
+    cache.smoothed = smoothed;
+    return widths;
+  }
+
+  /**
+   * Widest rendered width of a stroke
+   * @private
+   */
+  _getMaxStrokeWidth(stroke) {
+    if (stroke.type === 'text') return 0;
+    if (!(stroke.sensitivity > 0)) return stroke.width;
+    return Math.max(...this._getPointWidths(stroke));
+  }
+
+  /**
+   * Apply an eraser segment to a list of strokes
+   * @private
+   * @param {Array} paths - Stored strokes
+   * @param {Object} from - Eraser segment start
+   * @param {Object} to - Eraser segment end
+   * @param {number} radius - Eraser radius
+   * @param {string} mode - 'stroke' deletes touched strokes, 'partial' cuts them
+   * @param {string} [layer] - Only erase strokes on this layer
+   * @returns {Array} - The same array if nothing was touched, otherwise a new one
+   */
+  _erasePaths(paths, from, to, radius, mode, layer) {
+    let changed = false;
+    const result = [];
+
+    paths.forEach(stroke => {
+      if (layer && stroke.layer !== layer) {
+        result.push(stroke);
+        return;
+      }
+
+      // Ink extends half a stroke width beyond the centre line
+      const reach = radius + this._getMaxStrokeWidth(stroke) / 2;
+      const polylines = this._getStrokePolylines(stroke);
+      const touched = (stroke.type === 'text' && this._pointInPolygon(to, polylines[0])) ||
+        polylines.some(points => this._strokeTouchesSegment(points, from, to, reach));
+      if (!touched) {
+        result.push(stroke);
+        return;
+      }
+
+      changed = true;
+      // Text can't be cut, so it goes as a whole
+      if (mode === 'stroke' || stroke.type === 'text') return;
+
+      // Cut shapes turn into plain fixed-width pen strokes. Pieces keep the
+      // clock of the stroke they came from so they stay at its depth.
+      const base = stroke.params ? {
+        type: 'pen',
+        color: stroke.color,
+        width: stroke.width,
+        ...this._readLineStyle(stroke, stroke.type),
+        sensitivity: 0,
+        pointerType: null,
+        createdAt: stroke.createdAt,
+        clock: stroke.clock,
+        layer: stroke.layer
+      } : stroke;
+      polylines.forEach(polyline => {
+        this._splitPoints(polyline, from, to, reach).forEach(points => {
+          const piece = { ...base, id: this._createStrokeId(), points };
+          piece.pathData = this._generateStrokeData(piece);
+          result.push(piece);
+        });
+      });
+    });
+
+    return changed ? result : paths;
+  }
+
+  /**
+   * Get the centre lines of a stroke or shape as polylines
+   * @private
+   */
+  _getStrokePolylines(stroke) {
+    const params = stroke.params;
+
+    switch (stroke.type) {
+      case 'line':
+        return [[{ x: params.x1, y: params.y1 }, { x: params.x2, y: params.y2 }]];
+      case 'arrow': {
+        const head = this._getArrowHead(params, stroke.width);
+        return [
+          [{ x: params.x1, y: params.y1 }, { x: params.x2, y: params.y2 }],
+          [head[0], { x: params.x2, y: params.y2 }, head[1]]
+        ];
+      }
+      case 'rectangle':
+      case 'text': {
+        const corners = this._getRectangleCorners(params);
+        return [[...corners, corners[0]]];
+      }
+      case 'ellipse': {
+        const segments = 64;
+        const center = { x: params.cx, y: params.cy };
+        const rotation = (params.rotation || 0) * Math.PI / 180;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+          const angle = (i / segments) * Math.PI * 2;
+          points.push(this._rotatePoint({
+            x: params.cx + Math.cos(angle) * params.rx,
+            y: params.cy + Math.sin(angle) * params.ry
+          }, center, rotation));
+        }
+        return [points];
+      }
+      default:
+        return [stroke.points];
+    }
+  }
+
+  /**
+   * Check whether a polyline comes within a distance of a segment
+   * @private
+   */
+  _strokeTouchesSegment(points, from, to, distance) {
+    for (let i = 1; i < points.length; i++) {
+      if (this._segmentDistance(points[i - 1], points[i], from, to).distance < distance) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Cut a polyline where it enters the capsule around the eraser segment.
+   * The capsule is convex, so each polyline segment overlaps it in at most
+   * one interval, whose ends are found by bisection.
+   * @private
+   * @returns {Array<Array>} - The remaining pieces, each with at least two points
+   */
+  _splitPoints(points, from, to, radius) {
+    const isInside = point => this._segmentDistance(point, point, from, to).distance < radius;
+    const pieces = [];
+    let current = isInside(points[0]) ? [] : [points[0]];
+
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      const closest = this._segmentDistance(a, b, from, to);
+
+      if (closest.distance >= radius) {
+        current.push(b);
+        continue;
+      }
+
+      if (!isInside(a)) {
+        const t = this._bisect(t => isInside(this._lerpPoint(a, b, t)), 0, closest.t);
+        current.push(this._lerpPoint(a, b, t));
+      }
+      if (current.length > 1) pieces.push(current);
+      current = [];
+
+      if (!isInside(b)) {
+        const t = this._bisect(t => !isInside(this._lerpPoint(a, b, t)), closest.t, 1);
+        current.push(this._lerpPoint(a, b, t), b);
+      }
+    }
+    if (current.length > 1) pieces.push(current);
+
+    // Drop slivers that would render as dots
+    return pieces.filter(piece => this._polylineLength(piece) > 0.5);
+  }
+
+  /**
+   * Find the boundary between an outside start and an inside end of an interval
+   * @private
+   * @param {Function} test - Returns true on the far side of the boundary
+   */
+  _bisect(test, low, high) {
+    for (let i = 0; i < 12; i++) {
+      const mid = (low + high) / 2;
+      if (test(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Interpolate every numeric property of two points
+   * @private
+   */
+  _lerpPoint(a, b, t) {
+    const point = {};
+    Object.keys(a).forEach(key => {
+      point[key] = typeof a[key] === 'number' && typeof b[key] === 'number'
+        ? a[key] + (b[key] - a[key]) * t
+        : a[key];
+    });
+    return point;
+  }
+
+  /**
+   * Total length of a polyline
+   * @private
+   */
+  _polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  }
+
+  /**
+   * Closest distance between segments ab and cd
+   * @private
+   * @returns {{distance: number, t: number}} - t is the parameter of the closest point on ab
+   */
+  _segmentDistance(a, b, c, d) {
+    const clamp = value => Math.max(0, Math.min(1, value));
+    const d1x = b.x - a.x, d1y = b.y - a.y;
+    const d2x = d.x - c.x, d2y = d.y - c.y;
+    const rx = a.x - c.x, ry = a.y - c.y;
+    const len1 = d1x * d1x + d1y * d1y;
+    const len2 = d2x * d2x + d2y * d2y;
+    const f = d2x * rx + d2y * ry;
+    let s = 0;
+    let t = 0;
+
+    if (len1 === 0 && len2 === 0) {
+      // Both segments are points
+    } else if (len1 === 0) {
+      t = clamp(f / len2);
+    } else {
+      const e = d1x * rx + d1y * ry;
+      if (len2 === 0) {
+        s = clamp(-e / len1);
+      } else {
+        const dot = d1x * d2x + d1y * d2y;
+        const denom = len1 * len2 - dot * dot;
+        s = denom !== 0 ? clamp((dot * f - e * len2) / denom) : 0;
+        t = (dot * s + f) / len2;
+        if (t < 0) {
+          t = 0;
+          s = clamp(-e / len1);
+        } else if (t > 1) {
+          t = 1;
+          s = clamp((dot - e) / len1);
+        }
+      }
+    }
+
+    const dx = a.x + d1x * s - (c.x + d2x * t);
+    const dy = a.y + d1y * s - (c.y + d2y * t);
+    return { distance: Math.hypot(dx, dy), t: s };
+  }
+
+  /**
+   * Create a transformed copy of a stroke or shape
+   * @private
+   * @param {Object} stroke - Stroke record
+   * @param {Object} transform - { map(point), scale, angle (degrees) }
+   */
+  _transformStroke(stroke, transform) {
+    const { map, scale, angle } = transform;
+    const result = stroke.type === 'text'
+      ? { ...stroke, fontSize: stroke.fontSize * scale }
+      : { ...stroke, width: stroke.width * scale };
+    const params = stroke.params;
+
+    if (stroke.type === 'line' || stroke.type === 'arrow') {
+      const start = map({ x: params.x1, y: params.y1 });
+      const end = map({ x: params.x2, y: params.y2 });
+      result.params = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    } else if (stroke.type === 'rectangle' || stroke.type === 'text') {
+      const center = map({ x: params.x + params.width / 2, y: params.y + params.height / 2 });
+      const width = params.width * scale;
+      const height = params.height * scale;
+      result.params = {
+        x: center.x - width / 2,
+        y: center.y - height / 2,
+        width,
+        height,
+        rotation: (params.rotation || 0) + angle
+      };
+    } else if (stroke.type === 'ellipse') {
+      const center = map({ x: params.cx, y: params.cy });
+      result.params = {
+        cx: center.x,
+        cy: center.y,
+        rx: params.rx * scale,
+        ry: params.ry * scale,
+        rotation: (params.rotation || 0) + angle
+      };
+    } else {
+      result.points = stroke.points.map(point => ({ ...point, ...map(point) }));
+    }
+
+    if (stroke.type !== 'text') result.pathData = this._generateStrokeData(result);
+    return result;
+  }
+
+  /**
+   * Find the topmost stroke near a point
+   * @private
+   */
+  _hitTest(paths, point, minTolerance) {
+    for (let i = paths.length - 1; i >= 0; i--) {
+      const stroke = paths[i];
+      const tolerance = Math.max(this._getMaxStrokeWidth(stroke) / 2, minTolerance);
+      const polylines = this._getStrokePolylines(stroke);
+      // Text is hit anywhere in its box
+      const hit = (stroke.type === 'text' && this._pointInPolygon(point, polylines[0])) ||
+        polylines.some(points => this._strokeTouchesSegment(points, point, point, tolerance));
+      if (hit) return stroke;
+    }
+    return null;
+  }
+
+  /**
+   * Even-odd test of a point against a polygon
+   * @private
+   */
+  _pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Bounding box of a set of strokes, including their ink width
+   * @private
+   */
+  _getStrokesBounds(strokes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    strokes.forEach(stroke => {
+      const half = this._getMaxStrokeWidth(stroke) / 2;
+      this._getStrokePolylines(stroke).forEach(points => points.forEach(point => {
+        minX = Math.min(minX, point.x - half);
+        minY = Math.min(minY, point.y - half);
+        maxX = Math.max(maxX, point.x + half);
+        maxY = Math.max(maxY, point.y + half);
+      }));
+    });
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+}
+
+VectorPenCore.SERIALIZATION_VERSION = SERIALIZATION_VERSION;
+VectorPenCore.SHAPE_TOOLS = SHAPE_TOOLS;
+VectorPenCore.LINE_STYLES = LINE_STYLES;
+VectorPenCore.TEXT_LINE_HEIGHT = TEXT_LINE_HEIGHT;
+VectorPenCore.DEFAULT_LAYER = DEFAULT_LAYER;
+
+// Export as global or module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VectorPenCore;
+} else {
+  root.VectorPenCore = VectorPenCore;
+}
+
+})(typeof window !== 'undefined' ? window : this);
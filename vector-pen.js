@@ -1,34 +1,265 @@
 /**
  * VectorPen - A vector-based drawing tool that can be attached to any HTML element
  */
-class VectorPen {
+
+// Stroke model, geometry and SVG generation live in the DOM-free core
+const VectorPenCore = typeof module !== 'undefined' && module.exports
+  ? require('./vector-pen-core')
+  : window.VectorPenCore;
+if (!VectorPenCore) {
+  throw new Error('VectorPen: vector-pen-core.js must be loaded before vector-pen.js');
+}
+const { SERIALIZATION_VERSION, SHAPE_TOOLS, LINE_STYLES, TEXT_LINE_HEIGHT, DEFAULT_LAYER } = VectorPenCore;
+
+// Tools that add a stroke to the drawing
+const STROKE_TOOLS = ['pen', 'highlighter', ...SHAPE_TOOLS];
+
+// Stroke processing presets. streamline (0-1) makes freehand ink trail the
+// pointer to steady shaky input, tolerance is the Ramer-Douglas-Peucker
+// distance in screen pixels used to thin out finished strokes, and curve is
+// how points are joined: 'quadratic' midpoint curves or 'catmull-rom' splines.
+const SMOOTHING_PRESETS = {
+  raw: { streamline: 0, tolerance: 0, curve: 'quadratic' },
+  light: { streamline: 0.25, tolerance: 0.5, curve: 'catmull-rom' },
+  medium: { streamline: 0.45, tolerance: 1, curve: 'catmull-rom' },
+  smooth: { streamline: 0.65, tolerance: 1.5, curve: 'catmull-rom' }
+};
+
+// Longest pause between strokes kept by replay(), in ms
+const REPLAY_MAX_PAUSE = 1000;
+
+// Tools that can be activated with activateTool()
+const TOOLS = ['pen', 'highlighter', 'eraser', 'select', ...SHAPE_TOOLS, 'text'];
+
+// Toolbar items used when the toolbar option is not given
+const DEFAULT_TOOLBAR = [...TOOLS, 'colors', 'width', 'presets', 'clear', 'undo', 'redo'];
+
+// Swatches of the toolbar color palette
+const DEFAULT_COLORS = ['#000000', '#e53935', '#1e88e5', '#43a047', '#fb8c00', '#ffeb3b'];
+
+// Named pen styles used when the presets option is not given. Labels come
+// from the strings of the same name, or a label property of the preset.
+const DEFAULT_PRESETS = {
+  pencil: { color: '#424242', width: 1, opacity: 0.85 },
+  correction: { color: '#e53935', width: 3, linecap: 'round', linejoin: 'round' },
+  marker: { color: '#1e88e5', width: 8, opacity: 0.9, linecap: 'round', linejoin: 'round' },
+  dashed: { color: '#000000', width: 2, dash: [3, 2] }
+};
+
+// Instances listening for keyboard shortcuts. Until the user points at or
+// focuses one of them, a lone instance takes the shortcuts.
+const keyboardInstances = new Set();
+
+// Markup added to attached elements: the drawing layer and its controls
+const OWN_MARKUP = '.vector-pen-layer, .clear-button, .selection-actions, .vector-pen-text-editor';
+
+// Single-key shortcuts used when the toolShortcuts option is not given.
+// A null tool deactivates the current tool.
+const DEFAULT_TOOL_SHORTCUTS = { p: 'pen', e: 'eraser', h: 'highlighter', t: 'text', Escape: null };
+
+// Range of the toolbar width slider for each kind of tool
+const WIDTH_RANGES = {
+  pen: { min: 1, max: 20 },
+  highlighter: { min: 4, max: 60 },
+  eraser: { min: 10, max: 100 },
+  text: { min: 10, max: 72 }
+};
+
+// Icons of the built-in toolbar buttons, as 24x24 SVG path data
+const TOOLBAR_ICONS = {
+  pen: 'M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z',
+  highlighter: 'M6 14l3 3v5h6v-5l3-3V9H6v5zm5-12h2v3h-2V2zM3.5 5.88l1.41-1.41 2.12 2.12L5.62 8 3.5 5.88zm13.46.71l2.12-2.12 1.41 1.41L18.38 8l-1.42-1.41z',
+  eraser: 'M15.14 3c-.51 0-1.02.2-1.41.59L2.59 14.73c-.78.77-.78 2.04 0 2.83l4.24 4.24c.39.39.9.59 1.41.59.51 0 1.02-.2 1.41-.59l11.14-11.13c.78-.78.78-2.05 0-2.83l-4.24-4.24c-.39-.39-.9-.59-1.41-.59zM6.24 18.39l-2.12-2.12 7.78-7.78 2.12 2.12-7.78 7.78z',
+  select: 'M7 2l12 11.2-5.8.5 3.3 7.3-2.2 1-3.2-7.4L7 18.5z',
+  line: 'M4 18.6L18.6 4 20 5.4 5.4 20z',
+  arrow: 'M9 5v2h6.59L4 18.59 5.41 20 17 8.41V15h2V5z',
+  rectangle: 'M18 4H6c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 14H6V6h12v12z',
+  ellipse: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8z',
+  text: 'M5 4v3h5.5v12h3V7H19V4z',
+  clear: 'M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z',
+  undo: 'M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z',
+  redo: 'M18.4 10.6C16.55 8.99 14.15 8 11.5 8c-4.65 0-8.58 3.03-9.96 7.22L3.9 16c1.05-3.19 4.05-5.5 7.6-5.5 1.95 0 3.73.72 5.12 1.88L13 16h9V7l-3.6 3.6z'
+};
+
+// Labels and tooltips of the built-in controls. Pick a locale with the
+// locale option and override single entries with the strings option.
+const STRINGS = {
+  en: {
+    pen: 'Pen',
+    highlighter: 'Highlighter',
+    eraser: 'Eraser',
+    select: 'Select',
+    line: 'Line',
+    arrow: 'Arrow',
+    rectangle: 'Rectangle',
+    ellipse: 'Ellipse',
+    text: 'Text',
+    clear: 'Clear all',
+    undo: 'Undo',
+    redo: 'Redo',
+    colors: 'Colors',
+    width: 'Width',
+    presets: 'Pen presets',
+    pencil: 'Thin pencil',
+    correction: 'Red correction pen',
+    marker: 'Marker',
+    dashed: 'Dashed pen',
+    clearButton: 'Clear',
+    duplicate: 'Duplicate',
+    delete: 'Delete',
+    toolbar: 'Drawing tools',
+    color: 'Color {color}',
+    toolActivated: '{tool} selected',
+    toolDeactivated: 'No tool selected',
+    textEditor: 'Text annotation'
+  },
+  tr: {
+    pen: 'Kalem',
+    highlighter: 'Fosforlu kalem',
+    eraser: 'Silgi',
+    select: 'Seç',
+    line: 'Çizgi',
+    arrow: 'Ok',
+    rectangle: 'Dikdörtgen',
+    ellipse: 'Elips',
+    text: 'Metin',
+    clear: 'Tümünü temizle',
+    undo: 'Geri al',
+    redo: 'Yinele',
+    colors: 'Renkler',
+    width: 'Kalınlık',
+    presets: 'Kalem ayarları',
+    pencil: 'İnce kurşun kalem',
+    correction: 'Kırmızı düzeltme kalemi',
+    marker: 'Keçeli kalem',
+    dashed: 'Kesikli kalem',
+    clearButton: 'Temizle',
+    duplicate: 'Çoğalt',
+    delete: 'Sil',
+    toolbar: 'Çizim araçları',
+    color: 'Renk {color}',
+    toolActivated: '{tool} seçildi',
+    toolDeactivated: 'Araç seçili değil',
+    textEditor: 'Metin notu'
+  }
+};
+
+class VectorPen extends VectorPenCore {
   constructor(options = {}) {
+    super(options);
     this.options = {
-      strokeWidth: options.strokeWidth || 2,
-      strokeColor: options.strokeColor || '#000000',
-      eraserWidth: options.eraserWidth || 40,
+      ...this.options,
+      strokeOpacity: options.strokeOpacity ?? 1,
+      strokeDash: options.strokeDash || null, // Dash pattern in stroke widths, e.g. [3, 2]; dashed ink has a fixed width
+      strokeLinecap: options.strokeLinecap || null, // 'butt', 'round' or 'square'; null uses each tool's own
+      strokeLinejoin: options.strokeLinejoin || null, // 'miter', 'round' or 'bevel'; null uses each tool's own
+      presets: options.presets || DEFAULT_PRESETS, // Named pen styles: { name: { color, width, opacity, dash, linecap, linejoin, label } }
+      highlighterColor: options.highlighterColor || '#ffeb3b',
+      highlighterWidth: options.highlighterWidth || 20,
+      eraserMode: options.eraserMode || 'partial', // 'partial' cuts strokes, 'stroke' deletes them
       minDistance: options.minDistance || 2,
+      smoothing: options.smoothing ?? 'raw', // Preset name or { streamline, tolerance, curve }; 'raw' by default so ink follows the pointer as it always has
+      pressureSensitivity: options.pressureSensitivity ?? 0, // Off by default so ink looks as it always has; up to 1 varies width with pressure, tilt and speed
+      snapToShape: options.snapToShape || false, // Turn rough pen lines, boxes and circles into shapes
+      selectionMode: options.selectionMode || 'lasso', // How a drag selects strokes: 'lasso' or 'rectangle'
       showToolbar: options.showToolbar !== false,
+      readOnly: options.readOnly || false, // Show the ink without toolbar, clear buttons or tools
       toolbarPosition: options.toolbarPosition || 'left', // New option for toolbar position
       showClearButtons: options.showClearButtons !== false, // Default to true
       toolbarContainer: options.toolbarContainer || document.body,
+      historyLimit: options.historyLimit || 100, // Maximum number of undo steps kept
+      replayLimit: options.replayLimit || 1000, // Changes per element kept for replay(); older ones join the drawing it starts from
+      keyboardShortcuts: options.keyboardShortcuts !== false, // Ctrl+Z / Ctrl+Shift+Z
+      pinchZoom: options.pinchZoom !== false, // Two-finger pinch/pan and ctrl+wheel zoom
+      inputMode: options.inputMode || 'auto', // 'any', 'pen-only', or 'auto': pen-only once a stylus is used
+      maxContactSize: options.maxContactSize || 0, // Touches wider or taller than this many pixels are palms; off (0) by default, as fingers can report wide contacts too
+      minZoom: options.minZoom || 1,
+      maxZoom: options.maxZoom || 5,
+      toolShortcuts: options.toolShortcuts || DEFAULT_TOOL_SHORTCUTS, // Key -> tool, or null to deactivate
+      toolbar: options.toolbar || DEFAULT_TOOLBAR, // Ordered tool names and custom button configs
+      colors: options.colors || DEFAULT_COLORS, // Swatches of the toolbar color palette
+      locale: options.locale || 'en', // Language of labels and tooltips: 'en' or 'tr'
+      strings: options.strings || {}, // Overrides for single labels and tooltips
+      transport: options.transport || null, // Sync transport with send(op) and onReceive(callback)
+      persistence: options.persistence || null, // Storage adapter, or { adapter, key(element, id), delay }, to autosave drawings
+      flattenThreshold: options.flattenThreshold || 0, // Draw a layer's older ink as one cached image once it has this many strokes; 0 never does
       ...options
     };
     
     this.elements = [];
+    this.elementIds = new WeakMap(); // Attached element -> id its state is stored under
     this.activeElement = null;
     this.isDrawing = false;
     this.activeTool = null;
     this.points = [];
+    this.shiftKey = false; // Shift constrains shapes while drawing
+    this.pointerType = null; // Pointer type of the stroke being drawn
+    this.strokeStartTime = 0; // Date.now() when the current stroke started
+    this.strokeStartStamp = 0; // event.timeStamp when the current stroke started
+    this.strokeFrame = null; // Animation frame that will draw the points added since the last one
+    this.renderedPoints = 0; // Points of the current gesture already drawn or erased with
+    this.liveStroke = null; // Stroke being drawn with its <path>: { stroke, path, cache }
+    this.eraserCursor = null; // Circle following the pointer while erasing
     this.paths = {};
+    // Per element mapping from the drawing space strokes are stored in to element pixels
+    this.views = {};
     this.observers = {};
+    this.mutationObservers = []; // Selectors watched with observe(): { selector, root, observer }
     this.toolbar = null;
+    this.toolButtons = {}; // Toolbar buttons by tool or item name
+    this.colorPalette = null;
+    this.widthSlider = null;
+    this.presetGroup = null; // Toolbar buttons of the pen presets
+    this.announcer = null; // Live region announcing tool changes
+    this.toolShortcuts = this._normalizeShortcuts(this.options.toolShortcuts); // Key -> tool, letters lowercased
+    this.strings = { ...STRINGS.en, ...STRINGS[this.options.locale], ...this.options.strings };
     this.activePointerId = null; // Track the active pointer ID
-    this.touchCount = 0; // Track number of active touches
+    this.hasFocus = null; // Whether an attached element or the toolbar was the last thing pointed at or focused; null before anything was
+    this.touchCount = 0; // Track number of active finger touches
+    this.penDetected = false; // A stylus has been used, which makes the 'auto' input mode pen-only
+    this.pinch = null; // Two-finger gesture in progress: { element, distance, center, zoom, panX, panY }
 
     // Add a group for drawings
     this.drawingGroups = {};
 
+    // Named layers per element, bottom to top: { name, visible, opacity, locked }
+    this.layers = {};
+    this.activeLayers = {}; // Element id -> name of the layer new ink goes to
+
+    // Undo/redo stacks, shared by all attached elements
+    this.undoStack = [];
+    this.redoStack = [];
+    this.eraseBefore = null; // Paths of the active element when the eraser pass started
+
+    // Strokes picked with the select tool: { element, strokes, bounds }
+    this.selection = null;
+    this.selectionDrag = null; // Move, scale or rotate gesture in progress
+    this.strokeElements = new WeakMap(); // Stroke record -> rendered <path>
+    this.flattenedRuns = new WeakMap(); // Flattened stroke record -> { image, strokes } of the <image> it is drawn in
+
+    // Everything that happened to each element's strokes, for replay():
+    // element id -> { start: strokes it began with, events: [{ type, time, removed, added }] }
+    this.timelines = {};
+    this.replays = {}; // Element id -> running replay { frame, resolve, step, group, partial }
+    this.textEditor = null; // Open text box: { element, textarea, stroke, point, layer, color, fontSize, fontFamily }
+    this.measureContext = undefined; // Canvas context for text metrics, null where there is none
+
+    // Listeners registered with on()/once(), keyed by event type
+    this.listeners = {};
+
+    // Collaboration state. Clock and stroke ids are kept by the core.
+    this.strokeId = null; // Id of the stroke being drawn
+    this.sentPoints = 0; // Points of the current stroke already sent to peers
+    this.strokeStamps = new Map(); // Stroke id -> [clock, clientId] of its last applied write
+    this.remoteStrokes = {}; // In-progress strokes of peers: stroke id -> { element, data, path }
+    this.transport = null;
+    this.unsubscribe = null;
+
+    // Autosave. Drawings are saved a moment after each change and restored on attach.
+    const persistence = this.options.persistence;
+    this.persistence = persistence && typeof persistence.save === 'function' ? { adapter: persistence } : persistence;
+    this.saveTimers = {}; // Element id -> pending debounced save
+
     // Bind event handlers
     this.handlePointerDown = this.handlePointerDown.bind(this);
     this.handlePointerMove = this.handlePointerMove.bind(this);
@@ -37,12 +268,37 @@ class VectorPen {
     this.handleTouchStart = this.handleTouchStart.bind(this);
     this.handleTouchEnd = this.handleTouchEnd.bind(this);
     this.handleTouchCancel = this.handleTouchCancel.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocusChange = this.handleFocusChange.bind(this);
+    this.handleToolbarKeyDown = this.handleToolbarKeyDown.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.receive = this.receive.bind(this);
 
     if (this.options.showToolbar) {
       this.createToolbar();
+      if (this.options.readOnly) this.toolbar.style.display = 'none';
+    }
+
+    if (this.options.keyboardShortcuts) {
+      document.addEventListener('keydown', this.handleKeyDown);
+      document.addEventListener('pointerdown', this.handleFocusChange, true);
+      document.addEventListener('focusin', this.handleFocusChange);
+      keyboardInstances.add(this);
     }
   
     this.touchHandlers = new WeakMap(); // Store touch handlers for cleanup
+
+    if (this.options.transport) {
+      this.connect(this.options.transport);
+    }
+
+    // Pending saves would be lost with the page
+    if (this.persistence) {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
   }
 
   createToolbar() {
@@ -58,49 +314,422 @@ class VectorPen {
     if (isVertical) {
       toolbar.classList.add('toolbar-vertical');
     }
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', this.strings.toolbar);
+    toolbar.setAttribute('aria-orientation', isVertical ? 'vertical' : 'horizontal');
+
+    // Controls are kept per instance so several pens can share a page
+    this.toolButtons = {};
+    this.options.toolbar.forEach(item => {
+      toolbar.appendChild(typeof item === 'string'
+        ? this._createToolbarItem(item)
+        : this._createCustomButton(item));
+    });
     
-    const penTool = document.createElement('button');
-    penTool.id = 'pen-tool';
-    penTool.className = 'tool-button';
-    penTool.innerHTML = `
-      <svg viewBox="0 0 24 24" width="24" height="24">
-        <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"></path>
-      </svg>
-    `;
-    
-    const eraserTool = document.createElement('button');
-    eraserTool.id = 'eraser-tool';
-    eraserTool.className = 'tool-button';
-    eraserTool.innerHTML = `
-      <svg viewBox="0 0 24 24" width="24" height="24">
-        <path d="M15.14 3c-.51 0-1.02.2-1.41.59L2.59 14.73c-.78.77-.78 2.04 0 2.83l4.24 4.24c.39.39.9.59 1.41.59.51 0 1.02-.2 1.41-.59l11.14-11.13c.78-.78.78-2.05 0-2.83l-4.24-4.24c-.39-.39-.9-.59-1.41-.59zM6.24 18.39l-2.12-2.12 7.78-7.78 2.12 2.12-7.78 7.78z"></path>
-      </svg>
-    `;
-    
-    const clearAll = document.createElement('button');
-    clearAll.id = 'clear-all';
-    clearAll.className = 'tool-button';
-    clearAll.innerHTML = `
-      <svg viewBox="0 0 24 24" width="24" height="24">
-        <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"></path>
-      </svg>
-    `;
-    
-    // Add click handlers
-    penTool.addEventListener('click', () => this.activateTool('pen'));
-    eraserTool.addEventListener('click', () => this.activateTool('eraser'));
-    clearAll.addEventListener('click', () => this.clearAll());
-    
-    toolbar.appendChild(penTool);
-    toolbar.appendChild(eraserTool);
-    toolbar.appendChild(clearAll);
+    // Arrow keys move focus between the controls, Tab enters and leaves the toolbar
+    toolbar.addEventListener('keydown', this.handleToolbarKeyDown);
+    toolbar.addEventListener('focusin', (e) => this._setRovingFocus(e.target));
     
     this.options.toolbarContainer.appendChild(toolbar);
     this.toolbar = toolbar;
+    this._updateHistoryButtons();
+    this._updateToolbarControls();
+    this._setRovingFocus(this._getToolbarItems()[0]);
+  }
+
+  /**
+   * Move focus between toolbar controls with the arrow, Home and End keys
+   * @private
+   */
+  handleToolbarKeyDown(event) {
+    // The width slider uses the arrow keys itself
+    if (event.target.type === 'range' && event.key !== 'Home' && event.key !== 'End') return;
+
+    const items = this._getToolbarItems();
+    const index = items.indexOf(event.target);
+    if (index === -1) return;
+
+    let next;
+    if (event.key === 'ArrowRight' || event.key === 'ArrowDown') {
+      next = items[(index + 1) % items.length];
+    } else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') {
+      next = items[(index - 1 + items.length) % items.length];
+    } else if (event.key === 'Home') {
+      next = items[0];
+    } else if (event.key === 'End') {
+      next = items[items.length - 1];
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    this._setRovingFocus(next);
+    next.focus();
+  }
+
+  /**
+   * Focusable toolbar controls, in order
+   * @private
+   */
+  _getToolbarItems() {
+    if (!this.toolbar) return [];
+    return Array.from(this.toolbar.querySelectorAll('button, input'))
+      .filter(item => !item.disabled);
+  }
+
+  /**
+   * Make one toolbar control the single Tab stop of the toolbar
+   * @private
+   */
+  _setRovingFocus(item) {
+    if (!this.toolbar || !item) return;
+    this.toolbar.querySelectorAll('button, input').forEach(control => {
+      control.tabIndex = control === item ? 0 : -1;
+    });
+  }
+
+  /**
+   * Tell screen reader users about a change through a polite live region
+   * @private
+   */
+  _announce(message) {
+    if (!this.announcer) {
+      const announcer = document.createElement('div');
+      announcer.className = 'vector-pen-announcer';
+      announcer.setAttribute('role', 'status');
+      announcer.setAttribute('aria-live', 'polite');
+      this.options.toolbarContainer.appendChild(announcer);
+      this.announcer = announcer;
+    }
+    this.announcer.textContent = message;
+  }
+
+  /**
+   * Build a built-in toolbar item
+   * @private
+   * @param {string} name - A tool name, 'colors', 'width', 'presets', 'clear', 'undo' or 'redo'
+   * @returns {HTMLElement}
+   */
+  _createToolbarItem(name) {
+    if (name === 'colors') return this._createColorPalette();
+    if (name === 'width') return this._createWidthSlider();
+    if (name === 'presets') return this._createPresetButtons();
+
+    let onClick;
+    if (TOOLS.includes(name)) {
+      onClick = () => this.activateTool(name);
+    } else if (name === 'clear') {
+      onClick = () => this.clearAll();
+    } else if (name === 'undo') {
+      onClick = () => this.undo();
+    } else if (name === 'redo') {
+      onClick = () => this.redo();
+    } else {
+      throw new Error(`VectorPen: unknown toolbar item "${name}"`);
+    }
+
+    const button = this._createButton(name, this.strings[name], TOOLBAR_ICONS[name]);
+    button.addEventListener('click', onClick);
+    if (TOOLS.includes(name)) {
+      button.setAttribute('aria-pressed', 'false');
+
+      // Mention the shortcut in the tooltip
+      const shortcuts = this.options.keyboardShortcuts ? this.toolShortcuts : {};
+      const key = Object.keys(shortcuts).find(key => shortcuts[key] === name);
+      if (key) button.title = `${this.strings[name]} (${key.toUpperCase()})`;
+    }
+    return button;
+  }
+
+  /**
+   * Lowercase the letters of configured tool shortcuts, as key presses are
+   * looked up in lower case so that they work with Shift and Caps Lock
+   * @private
+   */
+  _normalizeShortcuts(shortcuts) {
+    const normalized = {};
+    Object.keys(shortcuts).forEach(key => {
+      normalized[key.length === 1 ? key.toLowerCase() : key] = shortcuts[key];
+    });
+    return normalized;
+  }
+
+  /**
+   * Build a toolbar button from a custom item config
+   * @private
+   * @param {Object} item
+   * @param {string} item.name - Name the button is registered under in toolButtons
+   * @param {string} [item.label] - Tooltip text
+   * @param {string} [item.icon] - SVG markup, or path data for a 24x24 icon
+   * @param {Function} item.onClick - Called with this instance and the click event
+   * @returns {HTMLElement}
+   */
+  _createCustomButton(item) {
+    const button = this._createButton(item.name, item.label, item.icon);
+    button.addEventListener('click', (e) => item.onClick(this, e));
+    return button;
+  }
+
+  /**
+   * Create a toolbar button and register it under its name
+   * @private
+   */
+  _createButton(name, label, icon) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tool-button';
+    button.dataset.tool = name;
+    if (label) {
+      button.title = label;
+      button.setAttribute('aria-label', label);
+    }
+    if (icon) {
+      button.innerHTML = icon.trim().startsWith('<') ? icon : `
+        <svg viewBox="0 0 24 24" width="24" height="24">
+          <path d="${icon}"></path>
+        </svg>
+      `;
+    }
+
+    this.toolButtons[name] = button;
+    return button;
+  }
+
+  /**
+   * Create the color swatch palette. Swatches set the highlighter color
+   * while the highlighter is active and the pen color otherwise.
+   * @private
+   */
+  _createColorPalette() {
+    const palette = document.createElement('div');
+    palette.className = 'toolbar-colors';
+    palette.setAttribute('role', 'group');
+    palette.setAttribute('aria-label', this.strings.colors);
+
+    this.options.colors.forEach(color => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = 'color-swatch';
+      swatch.dataset.color = color;
+      swatch.title = color;
+      swatch.setAttribute('aria-label', this.strings.color.replace('{color}', color));
+      swatch.style.background = color;
+      swatch.addEventListener('click', () => {
+        if (this.activeTool === 'select' && this.selection) {
+          this.recolorSelection(color);
+        } else if (this.activeTool === 'highlighter') {
+          this.setHighlighterColor(color);
+        } else {
+          this.setColor(color);
+        }
+      });
+      palette.appendChild(swatch);
+    });
+
+    this.colorPalette = palette;
+    return palette;
+  }
+
+  /**
+   * Create the width slider. It sets the width of the eraser or highlighter
+   * and the font size of the text tool while that tool is active, and the
+   * pen width otherwise.
+   * @private
+   */
+  _createWidthSlider() {
+    const container = document.createElement('label');
+    container.className = 'toolbar-width';
+    container.title = this.strings.width;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.step = 1;
+    slider.setAttribute('aria-label', this.strings.width);
+    slider.addEventListener('input', () => {
+      const width = Number(slider.value);
+      const target = this._getWidthTarget();
+      if (target === 'eraser') {
+        this.setEraserWidth(width);
+      } else if (target === 'highlighter') {
+        this.setHighlighterWidth(width);
+      } else if (target === 'text') {
+        this.setFontSize(width);
+      } else {
+        this.setStrokeWidth(width);
+      }
+    });
+    container.appendChild(slider);
+
+    this.widthSlider = slider;
+    return container;
+  }
+
+  /**
+   * Create a button for each pen preset, showing a sample of its line
+   * @private
+   */
+  _createPresetButtons() {
+    const group = document.createElement('div');
+    group.className = 'toolbar-presets';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', this.strings.presets);
+
+    Object.keys(this.options.presets).forEach(name => {
+      const preset = this.options.presets[name];
+      const label = preset.label || this.strings[name] || name;
+      const sample = this._getStrokeAttributes({
+        type: 'pen',
+        color: preset.color || this.options.strokeColor,
+        width: Math.min(preset.width || this.options.strokeWidth, 8),
+        opacity: preset.opacity,
+        dash: preset.dash,
+        linecap: preset.linecap,
+        linejoin: preset.linejoin
+      });
+      const attributes = Object.keys(sample).map(key => `${key}="${this._escapeXML(sample[key])}"`).join(' ');
+
+      const button = this._createButton(`preset-${name}`, label,
+        `<svg viewBox="0 0 24 24" width="24" height="24"><path d="M 3 17 C 8 5, 14 21, 21 7" ${attributes}></path></svg>`);
+      button.classList.add('preset-button');
+      button.dataset.preset = name;
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', () => this.usePreset(name));
+      group.appendChild(button);
+    });
+
+    this.presetGroup = group;
+    return group;
+  }
+
+  /**
+   * Which width the toolbar slider controls: 'pen', 'highlighter', 'eraser' or 'text'
+   * @private
+   */
+  _getWidthTarget() {
+    if (['eraser', 'highlighter', 'text'].includes(this.activeTool)) return this.activeTool;
+    return 'pen';
+  }
+
+  /**
+   * Reflect the current color and width in the palette and slider
+   * @private
+   */
+  _updateToolbarControls() {
+    if (!this.toolbar) return;
+
+    if (this.colorPalette) {
+      const color = this.activeTool === 'highlighter' ? this.options.highlighterColor : this.options.strokeColor;
+      this.colorPalette.querySelectorAll('.color-swatch').forEach(swatch => {
+        const isActive = swatch.dataset.color.toLowerCase() === color.toLowerCase();
+        swatch.classList.toggle('active', isActive);
+        swatch.setAttribute('aria-pressed', String(isActive));
+      });
+    }
+
+    if (this.presetGroup) {
+      const active = this._getActivePreset();
+      this.presetGroup.querySelectorAll('.preset-button').forEach(button => {
+        const isActive = button.dataset.preset === active;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+      });
+    }
+
+    if (this.widthSlider) {
+      const target = this._getWidthTarget();
+      const range = WIDTH_RANGES[target];
+      const width = target === 'eraser' ? this.options.eraserWidth
+        : target === 'highlighter' ? this.options.highlighterWidth
+        : target === 'text' ? this.options.fontSize
+        : this.options.strokeWidth;
+      this.widthSlider.min = range.min;
+      this.widthSlider.max = range.max;
+      this.widthSlider.value = width;
+    }
   }
   
+  /**
+   * Clear all attached elements as a single undoable step
+   */
   clearAll() {
-    this.elements.forEach(element => this.clear(element));
+    this._clearElements(this.elements);
+    return this;
+  }
+
+  /**
+   * Listen for an event. Listeners receive one event object holding the
+   * element, its id and the event data. Listeners of `before*` events can
+   * call `event.preventDefault()` to cancel the action.
+   *
+   * Events: beforestrokestart, strokestart, strokeupdate, beforestrokeend,
+   * strokeend, strokecancel, beforeerase, erase, beforeclear, clear,
+   * beforetoolchange, toolchange, beforeattach, attach, beforedetach, detach,
+   * remotechange, layerchange, viewchange, save, restore, persistenceerror,
+   * destroy
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event object
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   * @param {string} type - Event type
+   * @param {Function} [listener] - The listener to remove; all listeners of the type when omitted
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  off(type, listener) {
+    if (!this.listeners[type]) return this;
+    if (!listener) {
+      delete this.listeners[type];
+      return this;
+    }
+    this.listeners[type] = this.listeners[type]
+      .filter(entry => entry !== listener && entry.listener !== listener);
+    return this;
+  }
+
+  /**
+   * Listen for the next occurrence of an event only
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event object
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  once(type, listener) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      listener.call(this, event);
+    };
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Call the listeners of an event
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} detail - Event data, merged into the event object
+   * @returns {boolean} - False if a listener called preventDefault()
+   */
+  _emit(type, detail = {}) {
+    const listeners = this.listeners[type];
+    if (!listeners || listeners.length === 0) return true;
+
+    const event = {
+      type,
+      ...detail,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      }
+    };
+    // Copy so listeners can remove themselves while being called
+    listeners.slice().forEach(listener => listener.call(this, event));
+    return !event.defaultPrevented;
   }
   
   /**
@@ -119,12 +748,88 @@ class VectorPen {
     return this;
   }
 
+  /**
+   * Keep attaching to elements that match a selector as they are added to
+   * the page, and detach from them when they are removed. Matching elements
+   * already on the page are attached right away. Give the elements ids (or
+   * use a persistence key function) so re-rendered elements find their
+   * saved drawings.
+   * @param {string} selector - CSS selector of the elements to draw on
+   * @param {HTMLElement} [root=document.documentElement] - Subtree to watch
+   * @param {Object} [options]
+   * @param {boolean} [options.restore=true] - Restore saved drawings through the persistence adapter
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  observe(selector, root = document.documentElement, options = {}) {
+    const restore = options.restore !== false;
+    const attachWithin = node => {
+      if (node.nodeType !== Node.ELEMENT_NODE || this._isOwnNode(node)) return;
+      if (node.matches(selector)) this._attachToElement(node, restore);
+      node.querySelectorAll(selector).forEach(element => this._attachToElement(element, restore));
+    };
+
+    const observer = new MutationObserver(records => {
+      records.forEach(record => {
+        // Ink, overlays and toolbar updates are never about the watched elements
+        if (this._isOwnNode(record.target)) return;
+
+        // Elements moved within the page are still connected and stay attached
+        record.removedNodes.forEach(node => {
+          this.elements
+            .filter(element => !element.isConnected && element.matches(selector) && node.contains(element))
+            .forEach(element => this._detachFromElement(element));
+        });
+        record.addedNodes.forEach(attachWithin);
+      });
+    });
+    observer.observe(root, { childList: true, subtree: true });
+    this.mutationObservers.push({ selector, root, observer });
+
+    attachWithin(root);
+    return this;
+  }
+
+  /**
+   * Whether a node is part of the markup VectorPen adds to the page
+   * @private
+   */
+  _isOwnNode(node) {
+    return !!node.closest(OWN_MARKUP) ||
+      !!(this.toolbar && this.toolbar.contains(node)) ||
+      !!(this.announcer && this.announcer.contains(node));
+  }
+
+  /**
+   * Stop watching for elements added with observe(). Attached elements stay attached.
+   * @param {string} [selector] - Selector passed to observe(); all of them if omitted
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  unobserve(selector) {
+    this.mutationObservers = this.mutationObservers.filter(entry => {
+      if (selector && entry.selector !== selector) return true;
+      entry.observer.disconnect();
+      return false;
+    });
+    return this;
+  }
+
   /**
    * Private method to attach to a single element
    * @private
+   * @param {HTMLElement} element - Element to attach to
+   * @param {boolean} [restore=true] - Restore its saved drawing through the persistence adapter
    */
-  _attachToElement(element) {
+  _attachToElement(element, restore = true) {
     if (this.elements.includes(element)) return;
+    if (!this._emit('beforeattach', { element })) return;
+
+    // Fix the element's id for as long as it stays attached. Elements
+    // without an id get one in a data attribute, which they keep after
+    // detaching so a later attach finds their saved and shared drawing.
+    if (!element.id && !element.dataset.vectorPenId) {
+      element.dataset.vectorPenId = this._generateElementId();
+    }
+    this.elementIds.set(element, element.id || element.dataset.vectorPenId);
     
     const svgNS = "http://www.w3.org/2000/svg";
     const svg = document.createElementNS(svgNS, "svg");
@@ -139,9 +844,10 @@ class VectorPen {
     const defs = document.createElementNS(svgNS, 'defs');
     svg.appendChild(defs);
 
-    // Create a group for all drawings
+    // Create a group for all drawings, holding one group per layer
     const drawingGroup = document.createElementNS(svgNS, "g");
     drawingGroup.setAttribute("class", "drawing-group");
+    drawingGroup.appendChild(this._createLayerGroup(DEFAULT_LAYER));
     svg.appendChild(drawingGroup);
     
     // Make sure element has position
@@ -154,17 +860,14 @@ class VectorPen {
     if (this.options.showClearButtons) {
       const clearButton = document.createElement('button');
       clearButton.className = 'clear-button';
-      clearButton.textContent = 'Temizle';
+      clearButton.textContent = this.strings.clearButton;
       clearButton.style.zIndex = '50';
+      if (this.options.readOnly) clearButton.style.display = 'none';
       
       clearButton.addEventListener('click', (e) => {
         e.stopPropagation();
-        const wasToolActive = this.activeTool;
-        this.deactivateTool();
+        if (this.activeElement === element) this.cancelDrawing();
         this.clear(element);
-        if (wasToolActive) {
-          this.activateTool(wasToolActive);
-        }
       });
       
       element.appendChild(clearButton);
@@ -172,7 +875,9 @@ class VectorPen {
     
     // Prevent scrolling when drawing and track touch counts
     const handleTouch = (e) => {
-      if (this.activeTool) {
+      // With pen-only input, fingers scroll the page while the stylus draws
+      const isDrawingTouch = !this._isPenOnly() || Array.from(e.touches).some(touch => touch.touchType === 'stylus');
+      if ((this.activeTool && isDrawingTouch) || (this.options.pinchZoom && this._getFingerTouches(e).length > 1)) {
         e.preventDefault();
       }
     };
@@ -186,16 +891,51 @@ class VectorPen {
     
     // Add touch tracking listeners
     element.addEventListener('touchstart', this.handleTouchStart);
+    element.addEventListener('touchmove', this.handleTouchMove);
     element.addEventListener('touchend', this.handleTouchEnd);
     element.addEventListener('touchcancel', this.handleTouchCancel);
+    element.addEventListener('wheel', this.handleWheel, { passive: false });
+    element.addEventListener('dblclick', this.handleDoubleClick);
     
     element.appendChild(svg);
+
+    // Elements attached while a tool is active, e.g. by observe(), take input
+    // as activateTool() would have set them up
+    if (this.activeTool) {
+      element.addEventListener('pointerdown', this.handlePointerDown);
+      svg.style.pointerEvents = 'auto';
+    }
     
     // Store references
     this.elements.push(element);
-    const id = element.id || `vector-pen-${this.elements.length}`;
+    const id = this._getElementId(element);
     this.paths[id] = [];
     this.drawingGroups[id] = drawingGroup;
+    this.layers[id] = [{ name: DEFAULT_LAYER, visible: true, opacity: 1, locked: false }];
+    this.activeLayers[id] = DEFAULT_LAYER;
+    this.timelines[id] = { start: [], events: [] };
+    this.views[id] = {
+      space: null, source: null, scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0,
+      zoom: 1, panX: 0, panY: 0, overflow: null // Pinch zoom and pan of the element's content
+    };
+
+    // Strokes are stored in image pixels, which are only known once the image
+    // has loaded, so a stored drawing waits for it. If the image fails, the
+    // drawing goes into the element's own space.
+    const img = element.querySelector('img');
+    const imagePending = img && !(img.complete && img.naturalWidth);
+    if (imagePending) {
+      img.addEventListener('load', () => {
+        if (!this.elements.includes(element)) return;
+        this._updateSVGSize(element, svg);
+        if (restore) this._restoreElement(element);
+      }, { once: true });
+      if (restore) {
+        img.addEventListener('error', () => {
+          if (this.elements.includes(element)) this._restoreElement(element);
+        }, { once: true });
+      }
+    }
     
     // Set up resize observer
     const resizeObserver = new ResizeObserver(this.handleResize);
@@ -203,6 +943,8 @@ class VectorPen {
     this.observers[id] = resizeObserver;
     
     this._updateSVGSize(element, svg);
+    this._emit('attach', { element, id });
+    if (restore && !imagePending) this._restoreElement(element);
   }
   
   /**
@@ -220,6 +962,42 @@ class VectorPen {
     return this;
   }
   
+  /**
+   * Remove the pen for good: detach every element, take down the toolbar
+   * and live region, and drop all listeners, observers, timers and peers.
+   * Unsaved changes are saved first. The instance can't be used afterwards.
+   */
+  destroy() {
+    this._emit('destroy', {});
+    // Nothing can veto tearing down, and nobody hears about it after this
+    this.listeners = {};
+
+    this.unobserve();
+    this.elements.forEach(element => this.stopReplay(element));
+    this._releaseTool();
+    [...this.elements].forEach(element => this._detachFromElement(element));
+    this.disconnect();
+
+    if (this.toolbar) this.toolbar.remove();
+    if (this.announcer) this.announcer.remove();
+    this.toolbar = null;
+    this.toolButtons = {};
+    this.colorPalette = null;
+    this.widthSlider = null;
+    this.presetGroup = null;
+    this.announcer = null;
+
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('pointerdown', this.handleFocusChange, true);
+    document.removeEventListener('focusin', this.handleFocusChange);
+    keyboardInstances.delete(this);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    Object.keys(this.saveTimers).forEach(id => clearTimeout(this.saveTimers[id]));
+    this.saveTimers = {};
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
   /**
    * Private method to detach from a single element
    * @private
@@ -227,6 +1005,13 @@ class VectorPen {
   _detachFromElement(element) {
     const index = this.elements.indexOf(element);
     if (index === -1) return;
+    const id = this._getElementId(element);
+    if (!this._emit('beforedetach', { element, id })) return;
+
+    if (this.activeElement === element) this.cancelDrawing();
+    if (this.textEditor && this.textEditor.element === element) this._closeTextEditor(true);
+    this.stopReplay(element);
+    if (this.saveTimers[id]) this._saveElement(element);
 
     // Remove event listeners using stored reference
     const handleTouch = this.touchHandlers.get(element);
@@ -238,8 +1023,17 @@ class VectorPen {
     
     // Remove touch tracking event listeners
     element.removeEventListener('touchstart', this.handleTouchStart);
+    element.removeEventListener('touchmove', this.handleTouchMove);
     element.removeEventListener('touchend', this.handleTouchEnd);
     element.removeEventListener('touchcancel', this.handleTouchCancel);
+    element.removeEventListener('wheel', this.handleWheel);
+    element.removeEventListener('dblclick', this.handleDoubleClick);
+    element.removeEventListener('pointerdown', this.handlePointerDown);
+
+    // Put the content back where it was
+    if (this.pinch && this.pinch.element === element) this.pinch = null;
+    Object.assign(this.views[id], { zoom: 1, panX: 0, panY: 0 });
+    this._applyView(element);
     
     // Remove SVG layer and clear button
     const svg = element.querySelector('.vector-pen-layer');
@@ -248,39 +1042,57 @@ class VectorPen {
     if (clearButton) element.removeChild(clearButton);
     
     // Disconnect resize observer
-    const id = element.id || `vector-pen-${index + 1}`;
     if (this.observers[id]) {
       this.observers[id].disconnect();
       delete this.observers[id];
     }
     
+    if (this.selection && this.selection.element === element) {
+      this.clearSelection();
+    }
+    
     // Remove from storage
     this.elements.splice(index, 1);
     delete this.paths[id];
     delete this.drawingGroups[id];
+    delete this.layers[id];
+    delete this.activeLayers[id];
+    delete this.timelines[id];
+    delete this.views[id];
+    Object.keys(this.remoteStrokes).forEach(strokeId => {
+      if (this.remoteStrokes[strokeId].element === element) delete this.remoteStrokes[strokeId];
+    });
+    this._forgetHistory(element);
+    this.elementIds.delete(element);
+    this._emit('detach', { element, id });
   }
   
   /**
-   * Activate a tool (pen or eraser)
-   * @param {string} tool - 'pen' or 'eraser'
+   * Activate a tool
+   * @param {string} tool - 'pen', 'highlighter', 'eraser', 'select', 'line', 'arrow', 'rectangle',
+   * 'ellipse' or 'text'
    */
   activateTool(tool) {
+    if (this.options.readOnly) return this;
     if (this.activeTool === tool) {
-      this.deactivateTool();
-      return;
+      return this.deactivateTool();
     }
+
+    const previousTool = this.activeTool;
+    if (!this._emit('beforetoolchange', { tool, previousTool })) return this;
     
-    this.deactivateTool();
+    this._releaseTool();
     this.activeTool = tool;
     
     // Update toolbar button states
-    if (this.toolbar) {
-      const penButton = this.toolbar.querySelector('#pen-tool');
-      const eraserButton = this.toolbar.querySelector('#eraser-tool');
-      
-      penButton.classList.toggle('active', tool === 'pen');
-      eraserButton.classList.toggle('active', tool === 'eraser');
-    }
+    TOOLS.forEach(name => {
+      const button = this.toolButtons[name];
+      if (!button) return;
+      button.classList.toggle('active', tool === name);
+      button.setAttribute('aria-pressed', String(tool === name));
+    });
+    this._updateToolbarControls();
+    this._announce(this.strings.toolActivated.replace('{tool}', this.strings[tool] || tool));
     
     // Add event listeners to all elements
     this.elements.forEach(element => {
@@ -290,6 +1102,7 @@ class VectorPen {
       if (svg) svg.style.pointerEvents = 'auto';
     });
     
+    this._emit('toolchange', { tool, previousTool });
     return this;
   }
   
@@ -298,14 +1111,34 @@ class VectorPen {
    */
   deactivateTool() {
     if (!this.activeTool) return this;
+
+    const previousTool = this.activeTool;
+    if (!this._emit('beforetoolchange', { tool: null, previousTool })) return this;
+
+    this._releaseTool();
+    this._updateToolbarControls();
+    this._announce(this.strings.toolDeactivated);
+    this._emit('toolchange', { tool: null, previousTool });
+    return this;
+  }
+
+  /**
+   * Turn off the current tool without emitting events
+   * @private
+   */
+  _releaseTool() {
+    if (!this.activeTool) return;
+
+    this.cancelDrawing();
+    this.clearSelection();
+    this._closeTextEditor(true);
     
     // Remove active states from toolbar buttons
     if (this.toolbar) {
-      const penButton = this.toolbar.querySelector('#pen-tool');
-      const eraserButton = this.toolbar.querySelector('#eraser-tool');
-      
-      penButton.classList.remove('active');
-      eraserButton.classList.remove('active');
+      this.toolbar.querySelectorAll('.tool-button.active').forEach(button => {
+        button.classList.remove('active');
+        button.setAttribute('aria-pressed', 'false');
+      });
     }
     
     // Remove event listeners from all elements
@@ -317,7 +1150,6 @@ class VectorPen {
     });
     
     this.activeTool = null;
-    return this;
   }
   
   /**
@@ -325,12 +1157,45 @@ class VectorPen {
    * @private 
    */
   handleTouchStart(event) {
-    this.touchCount = event.touches.length;
+    const touches = this._getFingerTouches(event);
+    this.touchCount = touches.length;
     
-    // If we detect more than one touch point, cancel any ongoing drawing
-    if (this.touchCount > 1 && this.isDrawing) {
+    // If we detect more than one touch point, cancel any ongoing drawing.
+    // Stylus strokes survive fingers and palms touching the screen.
+    if (this.touchCount > 1 && this.isDrawing && this.pointerType !== 'pen') {
       this.cancelDrawing();
     }
+
+    // Two fingers pinch to zoom and drag to pan
+    if (this.touchCount === 2 && this.options.pinchZoom) {
+      const element = event.currentTarget;
+      const view = this.views[this._getElementId(element)];
+      this.pinch = {
+        element,
+        ...this._getPinchGeometry(element, touches),
+        zoom: view.zoom,
+        panX: view.panX,
+        panY: view.panY
+      };
+    }
+  }
+
+  /**
+   * Zoom and pan while two fingers move
+   * @private
+   */
+  handleTouchMove(event) {
+    const touches = this._getFingerTouches(event);
+    if (!this.pinch || this.pinch.element !== event.currentTarget || touches.length !== 2) return;
+
+    const start = this.pinch;
+    const { distance, center } = this._getPinchGeometry(start.element, touches);
+    const zoom = this._clampZoom(start.zoom * distance / start.distance);
+
+    // Keep the content that was under the fingers' midpoint under it
+    const x = (start.center.x - start.panX) / start.zoom;
+    const y = (start.center.y - start.panY) / start.zoom;
+    this._setView(start.element, zoom, center.x - x * zoom, center.y - y * zoom);
   }
   
   /**
@@ -338,7 +1203,8 @@ class VectorPen {
    * @private
    */
   handleTouchEnd(event) {
-    this.touchCount = event.touches.length;
+    this.touchCount = this._getFingerTouches(event).length;
+    if (this.touchCount < 2) this.pinch = null;
   }
   
   /**
@@ -346,24 +1212,200 @@ class VectorPen {
    * @private
    */
   handleTouchCancel(event) {
-    this.touchCount = event.touches.length;
-    if (this.isDrawing) {
+    this.touchCount = this._getFingerTouches(event).length;
+    if (this.touchCount < 2) this.pinch = null;
+    if (this.isDrawing && this.pointerType !== 'pen') {
       this.cancelDrawing();
     }
   }
-  
+
   /**
-   * Cancel the current drawing operation
+   * Touches of a touch event made by fingers, leaving out the stylus and
+   * contacts too large for a fingertip
+   * @private
+   */
+  _getFingerTouches(event) {
+    const maxSize = this.options.maxContactSize;
+    return Array.from(event.touches).filter(touch => touch.touchType !== 'stylus' &&
+      !(maxSize > 0 && ((touch.radiusX || 0) * 2 > maxSize || (touch.radiusY || 0) * 2 > maxSize)));
+  }
+
+  /**
+   * Zoom around the cursor with ctrl+wheel, which trackpads also send for pinches
+   * @private
+   */
+  handleWheel(event) {
+    if (!this.options.pinchZoom || !event.ctrlKey) return;
+    event.preventDefault();
+
+    const element = event.currentTarget;
+    const rect = element.getBoundingClientRect();
+    const view = this.views[this._getElementId(element)];
+    const zoom = view.zoom * Math.exp(-event.deltaY * 0.01);
+    this.setZoom(element, zoom, { x: event.clientX - rect.left, y: event.clientY - rect.top });
+  }
+
+  /**
+   * Distance between two touches and their midpoint in element pixels
+   * @private
+   */
+  _getPinchGeometry(element, touches) {
+    const rect = element.getBoundingClientRect();
+    const [a, b] = [touches[0], touches[1]];
+    return {
+      distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY) || 1,
+      center: {
+        x: (a.clientX + b.clientX) / 2 - rect.left,
+        y: (a.clientY + b.clientY) / 2 - rect.top
+      }
+    };
+  }
+
+  /**
+   * Zoom an element's content and ink
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {number} zoom - Zoom factor, limited to the minZoom and maxZoom options
+   * @param {Object} [origin] - Point in element pixels that stays in place; defaults to the centre
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  setZoom(element, zoom, origin) {
+    element = this._resolveElement(element);
+    if (!element) return this;
+
+    const view = this.views[this._getElementId(element)];
+    if (!origin) {
+      const rect = element.getBoundingClientRect();
+      origin = { x: rect.width / 2, y: rect.height / 2 };
+    }
+
+    zoom = this._clampZoom(zoom);
+    const x = (origin.x - view.panX) / view.zoom;
+    const y = (origin.y - view.panY) / view.zoom;
+    this._setView(element, zoom, origin.x - x * zoom, origin.y - y * zoom);
+    return this;
+  }
+
+  /**
+   * Current zoom factor of an element
+   * @param {HTMLElement|string} element - The element or its selector
+   * @returns {number}
+   */
+  getZoom(element) {
+    element = this._resolveElement(element);
+    return element ? this.views[this._getElementId(element)].zoom : 1;
+  }
+
+  /**
+   * Undo zooming and panning
+   * @param {HTMLElement|string} [element] - The element or its selector; all elements when omitted
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  resetView(element) {
+    if (element === undefined) {
+      this.elements.forEach(el => this._setView(el, 1, 0, 0));
+      return this;
+    }
+
+    element = this._resolveElement(element);
+    if (element) this._setView(element, 1, 0, 0);
+    return this;
+  }
+
+  /**
+   * Keep a zoom factor within the minZoom and maxZoom options
+   * @private
+   */
+  _clampZoom(zoom) {
+    return Math.min(this.options.maxZoom, Math.max(this.options.minZoom, zoom));
+  }
+
+  /**
+   * Store a zoom and pan, keeping the content covering the element
+   * @private
+   */
+  _setView(element, zoom, panX, panY) {
+    const id = this._getElementId(element);
+    const view = this.views[id];
+    const rect = element.getBoundingClientRect();
+
+    // Zoomed in, the content may not be dragged away from the edges;
+    // zoomed out, it stays inside the element
+    const clamp = (value, size) => {
+      const limit = size * (1 - zoom);
+      return Math.min(Math.max(0, limit), Math.max(Math.min(0, limit), value));
+    };
+    view.zoom = zoom;
+    view.panX = clamp(panX, rect.width);
+    view.panY = clamp(panY, rect.height);
+
+    this._applyView(element);
+    this._emit('viewchange', { element, id, zoom: view.zoom, panX: view.panX, panY: view.panY });
+  }
+
+  /**
+   * Apply the zoom and pan of an element to its content and ink. Each child
+   * is scaled around the element's top left corner so they stay aligned.
+   * @private
+   */
+  _applyView(element) {
+    const view = this.views[this._getElementId(element)];
+    const isZoomed = view.zoom !== 1 || view.panX !== 0 || view.panY !== 0;
+
+    Array.from(element.children).forEach(child => {
+      // Controls keep their size and place
+      if (['clear-button', 'selection-actions', 'vector-pen-text-editor'].some(name => child.classList.contains(name))) return;
+      child.style.transformOrigin = isZoomed ? `${-(child.offsetLeft || 0)}px ${-(child.offsetTop || 0)}px` : '';
+      child.style.transform = isZoomed ? `translate(${view.panX}px, ${view.panY}px) scale(${view.zoom})` : '';
+    });
+
+    // Clip content zoomed beyond the element
+    if (isZoomed && view.overflow === null) {
+      view.overflow = element.style.overflow;
+      element.style.overflow = 'hidden';
+    } else if (!isZoomed && view.overflow !== null) {
+      element.style.overflow = view.overflow;
+      view.overflow = null;
+    }
+
+    if (this.selection && this.selection.element === element) {
+      this._renderSelection(element);
+    }
+    if (this.textEditor && this.textEditor.element === element) {
+      this._layoutTextEditor();
+    }
+  }
+  
+  /**
+   * Cancel the current drawing operation
    * @private
    */
   cancelDrawing() {
     if (!this.isDrawing || !this.activeElement) return;
     
     // Clean up the temporary path without finalizing it
-    const svg = this.activeElement.querySelector('.vector-pen-layer');
-    if (svg) {
-      const tempPath = svg.querySelector('.temp-path');
-      if (tempPath) tempPath.remove();
+    this._cancelStrokeUpdate();
+    if (this.liveStroke) {
+      this.liveStroke.path.remove();
+      this.liveStroke = null;
+    }
+    if (this.eraserCursor) {
+      this.eraserCursor.remove();
+      this.eraserCursor = null;
+    }
+
+    // Undo whatever the interrupted eraser pass removed
+    if (this.eraseBefore) {
+      this.paths[this._getElementId(this.activeElement)] = this.eraseBefore;
+      this.eraseBefore = null;
+      this._renderElement(this.activeElement);
+    }
+
+    if (this.activeTool === 'select') {
+      this._cancelSelect();
+    }
+
+    if (STROKE_TOOLS.includes(this.activeTool)) {
+      this._emitStrokeCancel();
     }
     
     // Reset drawing state
@@ -385,29 +1427,62 @@ class VectorPen {
    * @private
    */
   handlePointerDown(event) {
+    // One pointer draws at a time; a palm landing mid-stroke must not take over
+    if (this.isDrawing && event.pointerId !== this.activePointerId) return;
+
     // If we already have multiple touch points, don't start drawing
-    if (this.touchCount > 1) return;
+    if (this.touchCount > 1 && event.pointerType !== 'pen') return;
+    if (!this._acceptsPointer(event)) return;
     
     const element = event.currentTarget;
+    if (this.replays[this._getElementId(element)]) return;
     this.activeElement = element;
 
     // Get SVG element
     const svg = element.querySelector('.vector-pen-layer');
     if (!svg) return;
 
+    // Hidden and locked layers can't be changed
+    const layer = this._getLayer(element, this.activeLayers[this._getElementId(element)]);
+    if (!layer.visible || layer.locked) return;
+
+    // The text tool opens a text box instead of drawing
+    if (this.activeTool === 'text') {
+      event.preventDefault(); // Keep the focus in the text box
+      this._handleTextTap(element, this._getPointerPoint(event, element));
+      return;
+    }
+
+    // Let listeners veto the stroke or eraser pass before anything is drawn
+    this.strokeStartStamp = event.timeStamp;
+    const point = this._getPointerPoint(event, element);
+    const detail = { element, id: this._getElementId(element), tool: this.activeTool, point };
+    if (STROKE_TOOLS.includes(this.activeTool) && !this._emit('beforestrokestart', detail)) return;
+    if (this.activeTool === 'eraser' && !this._emit('beforeerase', detail)) return;
+
     // Store the active pointer ID to track only this pointer
     this.activePointerId = event.pointerId;
 
     // Capture pointer to track movement outside element
     event.target.setPointerCapture(event.pointerId);
 
-    // Get element-relative coordinates
-    const rect = element.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-
     this.isDrawing = true;
-    this.points = [{x, y}];
+    this.pointerType = event.pointerType;
+    this.strokeStartTime = Date.now();
+    this.points = [point];
+    this.rawPoint = null; // Latest pointer position while streamline lags behind it
+    this.renderedPoints = 1;
+    this.liveStroke = null;
+    this.strokeId = this._createStrokeId();
+    this.sentPoints = 0;
+
+    if (this.activeTool === 'eraser') {
+      this._beginErase();
+    } else if (this.activeTool === 'select') {
+      this._beginSelect(event);
+    } else if (STROKE_TOOLS.includes(this.activeTool)) {
+      this._emit('strokestart', detail);
+    }
 
     // Add event listeners for move and up events
     element.addEventListener('pointermove', this.handlePointerMove);
@@ -416,6 +1491,228 @@ class VectorPen {
     element.addEventListener('pointerleave', this.handlePointerUp);
   }
   
+  /**
+   * Tap with the text tool: finish the open text box, or open one on the
+   * tapped text annotation or at the tapped point
+   * @private
+   */
+  _handleTextTap(element, point) {
+    if (this.textEditor) {
+      this._closeTextEditor(true);
+      return;
+    }
+
+    const text = this._findTextAt(element, point);
+    this._openTextEditor(element, text ? { x: text.params.x, y: text.params.y } : point, text);
+  }
+
+  /**
+   * Double-click a text annotation to edit it again
+   * @private
+   */
+  handleDoubleClick(event) {
+    if (!this.activeTool || this.textEditor) return;
+
+    const element = event.currentTarget;
+    const layer = this._getLayer(element, this.activeLayers[this._getElementId(element)]);
+    if (!layer.visible || layer.locked) return;
+
+    const text = this._findTextAt(element, this._getPointerPoint(event, element));
+    if (!text) return;
+
+    event.preventDefault();
+    this.cancelDrawing();
+    this.clearSelection();
+    this._openTextEditor(element, { x: text.params.x, y: text.params.y }, text);
+  }
+
+  /**
+   * Find the topmost text annotation of the active layer under a point
+   * @private
+   */
+  _findTextAt(element, point) {
+    const id = this._getElementId(element);
+    const texts = this.paths[id].filter(stroke => stroke.type === 'text' && stroke.layer === this.activeLayers[id]);
+    return this._hitTest(texts, point, 6 / this._getViewScale(element));
+  }
+
+  /**
+   * Open a text box over an element, empty or holding an annotation to edit.
+   * Enter adds a line, Ctrl+Enter or leaving the box commits, Escape cancels.
+   * @private
+   * @param {HTMLElement} element - Attached element
+   * @param {Object} point - Top left corner in drawing space
+   * @param {Object} [stroke] - Text annotation being edited
+   */
+  _openTextEditor(element, point, stroke = null) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'vector-pen-text-editor';
+    textarea.setAttribute('aria-label', this.strings.textEditor);
+    textarea.value = stroke ? stroke.text : '';
+
+    this.textEditor = {
+      element,
+      textarea,
+      stroke,
+      point,
+      layer: stroke ? stroke.layer : this.activeLayers[this._getElementId(element)],
+      color: stroke ? stroke.color : this.options.strokeColor,
+      fontSize: stroke ? stroke.fontSize : this.options.fontSize / this._getViewScale(element),
+      fontFamily: stroke ? stroke.fontFamily : this.options.fontFamily
+    };
+
+    textarea.style.color = this.textEditor.color;
+    textarea.style.fontFamily = this.textEditor.fontFamily;
+    textarea.style.lineHeight = TEXT_LINE_HEIGHT;
+    textarea.addEventListener('input', () => this._layoutTextEditor());
+    textarea.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this._closeTextEditor(false);
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this._closeTextEditor(true);
+      }
+    });
+    textarea.addEventListener('blur', () => this._closeTextEditor(true));
+    // Keep taps in the box from reaching the drawing tools
+    textarea.addEventListener('pointerdown', event => event.stopPropagation());
+
+    // The box stands in for the annotation while it is edited
+    const rendered = stroke && this.strokeElements.get(stroke);
+    if (rendered) rendered.style.visibility = 'hidden';
+
+    element.appendChild(textarea);
+    this._layoutTextEditor();
+    textarea.focus();
+  }
+
+  /**
+   * Place and size the open text box to match the text it will become
+   * @private
+   */
+  _layoutTextEditor() {
+    const { element, textarea, point, fontSize, fontFamily } = this.textEditor;
+    const view = this.views[this._getElementId(element)];
+    const viewScale = this._getViewScale(element);
+    const size = this._measureText(textarea.value, fontSize, fontFamily);
+
+    textarea.style.left = `${view.panX + view.zoom * (view.offsetX + point.x * view.scaleX)}px`;
+    textarea.style.top = `${view.panY + view.zoom * (view.offsetY + point.y * view.scaleY)}px`;
+    textarea.style.fontSize = `${fontSize * viewScale}px`;
+    // Leave room for the next character
+    textarea.style.width = `${(size.width + fontSize) * viewScale}px`;
+    textarea.style.height = `${size.height * viewScale}px`;
+  }
+
+  /**
+   * Close the open text box
+   * @private
+   * @param {boolean} commit - Store the typed text, or throw it away
+   */
+  _closeTextEditor(commit) {
+    const editor = this.textEditor;
+    if (!editor) return;
+
+    // Cleared first, as removing the focused box fires another blur
+    this.textEditor = null;
+    editor.textarea.remove();
+
+    const rendered = editor.stroke && this.strokeElements.get(editor.stroke);
+    if (rendered) rendered.style.visibility = '';
+
+    if (commit) this._commitText(editor);
+  }
+
+  /**
+   * Add, update or remove a text annotation from a closed text box, as one
+   * undoable step. Emptying the box of an annotation removes it.
+   * @private
+   */
+  _commitText(editor) {
+    const { element, stroke, point } = editor;
+    const id = this._getElementId(element);
+    const text = editor.textarea.value.replace(/\s+$/, '');
+    const before = this.paths[id];
+    const index = stroke ? before.indexOf(stroke) : -1;
+
+    if (index === -1 ? !text : text === stroke.text) return;
+
+    let after;
+    if (!text) {
+      after = before.filter(item => item !== stroke);
+    } else if (index !== -1) {
+      const params = { ...stroke.params, ...this._measureText(text, stroke.fontSize, stroke.fontFamily) };
+      after = before.map(item => item === stroke ? { ...stroke, text, params } : item);
+    } else {
+      const size = this._measureText(text, editor.fontSize, editor.fontFamily);
+      after = [...before, {
+        id: this._createStrokeId(),
+        clock: ++this.clock,
+        layer: editor.layer,
+        type: 'text',
+        color: editor.color,
+        fontSize: editor.fontSize,
+        fontFamily: editor.fontFamily,
+        text,
+        createdAt: Date.now(),
+        params: { x: point.x, y: point.y, ...size }
+      }];
+    }
+
+    this.paths[id] = after;
+    this._renderElement(element);
+    this._pushHistory([{ element, before, after }], index === -1 ? 'stroke' : 'change');
+  }
+
+  /**
+   * Size of the box of a text annotation. Uses canvas text metrics where
+   * available and an average glyph width otherwise.
+   * @private
+   * @returns {{width: number, height: number}}
+   */
+  _measureText(text, fontSize, fontFamily) {
+    if (this.measureContext === undefined) {
+      const canvas = document.createElement('canvas');
+      this.measureContext = canvas.getContext ? canvas.getContext('2d') : null;
+    }
+
+    const context = this.measureContext;
+    if (context) context.font = `100px ${fontFamily}`;
+    const lines = text.split('\n');
+    const width = Math.max(...lines.map(line => context
+      ? context.measureText(line).width / 100 * fontSize
+      : line.length * fontSize * 0.6));
+
+    return { width, height: lines.length * fontSize * TEXT_LINE_HEIGHT };
+  }
+
+  /**
+   * Check whether a pointer may draw, following the input mode. When
+   * maxContactSize is set, touches larger than it are taken for a resting palm.
+   * @private
+   */
+  _acceptsPointer(event) {
+    if (event.pointerType === 'pen') {
+      this.penDetected = true;
+      return true;
+    }
+    if (event.pointerType !== 'touch') return true;
+    if (this._isPenOnly()) return false;
+
+    const maxSize = this.options.maxContactSize;
+    return !(maxSize > 0 && (event.width > maxSize || event.height > maxSize));
+  }
+
+  /**
+   * Whether touches are left to scrolling and zoom instead of drawing
+   * @private
+   */
+  _isPenOnly() {
+    const mode = this.options.inputMode;
+    return mode === 'pen-only' || (mode === 'auto' && this.penDetected);
+  }
+
   /**
    * Handle pointer move event
    * @private
@@ -425,29 +1722,104 @@ class VectorPen {
     if (event.pointerId !== this.activePointerId) return;
 
     // If multiple touches are detected, cancel drawing
-    if (this.touchCount > 1) {
+    if (this.touchCount > 1 && this.pointerType !== 'pen') {
       this.cancelDrawing();
       return;
     }
 
     if (!this.isDrawing || !this.activeElement) return;
 
-    // Get element-relative coordinates
-    const rect = this.activeElement.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
+    // Browsers deliver at most one pointermove per frame. The positions in
+    // between are kept as coalesced events and make smoother strokes.
+    const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+    let added = false;
+    (events.length > 0 ? events : [event]).forEach(moveEvent => {
+      added = this._addPointerPoint(moveEvent) || added;
+    });
+    this.shiftKey = event.shiftKey;
 
-    // Calculate distance from last point
+    // Drawing waits for the next frame, so a burst of moves is drawn once
+    if (added) this._scheduleStrokeUpdate();
+  }
+
+  /**
+   * Add the position of a pointer move to the points of the current gesture
+   * @private
+   * @returns {boolean} - Whether the point was far enough from the last one to be added
+   */
+  _addPointerPoint(event) {
+    let point = this._getPointerPoint(event, this.activeElement);
     const lastPoint = this.points[this.points.length - 1];
-    const dx = x - lastPoint.x;
-    const dy = y - lastPoint.y;
+
+    // Freehand ink trails the pointer like a brush on a string
+    const { streamline } = this._getSmoothing();
+    if (streamline > 0 && (this.activeTool === 'pen' || this.activeTool === 'highlighter')) {
+      this.rawPoint = point;
+      point = {
+        ...point,
+        x: lastPoint.x + (point.x - lastPoint.x) * (1 - streamline),
+        y: lastPoint.y + (point.y - lastPoint.y) * (1 - streamline)
+      };
+    }
+
+    // Calculate distance from last point
+    const dx = point.x - lastPoint.x;
+    const dy = point.y - lastPoint.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
 
     // Only add points with enough distance to avoid too many small segments
-    if (distance >= this.options.minDistance) {
-      this.points.push({x, y});
+    if (distance < this.options.minDistance / this._getViewScale(this.activeElement)) return false;
+    this.points.push(point);
+    return true;
+  }
+
+  /**
+   * Draw the current gesture in the next animation frame
+   * @private
+   */
+  _scheduleStrokeUpdate() {
+    if (this.strokeFrame !== null) return;
+    this.strokeFrame = requestAnimationFrame(() => {
+      this.strokeFrame = null;
       this._updateStroke();
-    }
+    });
+  }
+
+  /**
+   * Draw a scheduled update of the current gesture right away
+   * @private
+   */
+  _flushStrokeUpdate() {
+    if (this.strokeFrame === null) return;
+    this._cancelStrokeUpdate();
+    this._updateStroke();
+  }
+
+  /**
+   * Drop a scheduled update of the current gesture
+   * @private
+   */
+  _cancelStrokeUpdate() {
+    if (this.strokeFrame === null) return;
+    cancelAnimationFrame(this.strokeFrame);
+    this.strokeFrame = null;
+  }
+
+  /**
+   * Build a stroke point with element-relative coordinates and stylus data
+   * @private
+   */
+  _getPointerPoint(event, element) {
+    const rect = element.getBoundingClientRect();
+    const view = this.views[this._getElementId(element)];
+    return {
+      x: ((event.clientX - rect.left - view.panX) / view.zoom - view.offsetX) / view.scaleX,
+      y: ((event.clientY - rect.top - view.panY) / view.zoom - view.offsetY) / view.scaleY,
+      pressure: event.pressure || 0,
+      tiltX: event.tiltX || 0,
+      tiltY: event.tiltY || 0,
+      t: Math.round(event.timeStamp - this.strokeStartStamp) // ms since the stroke started
+    };
   }
   
   /**
@@ -460,9 +1832,25 @@ class VectorPen {
 
     if (!this.isDrawing || !this.activeElement) return;
 
+    // Moves waiting for the next frame are drawn before the gesture ends
+    this._flushStrokeUpdate();
+
+    // Let stabilized ink catch up with where the pointer was lifted
+    if (this.rawPoint) {
+      this.points.push(this.rawPoint);
+      this.rawPoint = null;
+    }
+
     // Final update to the stroke
-    if (this.points.length > 1) {
+    if (this.activeTool === 'eraser') {
+      this._finalizeErase();
+    } else if (this.activeTool === 'select') {
+      this._finalizeSelect();
+    } else if (this.points.length > 1) {
       this._finalizeStroke();
+    } else if (STROKE_TOOLS.includes(this.activeTool)) {
+      // A tap without movement leaves no stroke
+      this._emitStrokeCancel();
     }
 
     // Clean up
@@ -483,62 +1871,53 @@ class VectorPen {
    */
   _updateStroke() {
     if (!this.activeElement || this.points.length < 2) return;
-    
-    const svg = this.activeElement.querySelector('.vector-pen-layer');
-    if (!svg) return;
-    
-    const id = this.activeElement.id || `vector-pen-${this.elements.indexOf(this.activeElement) + 1}`;
+
+    const id = this._getElementId(this.activeElement);
     const drawingGroup = this.drawingGroups[id];
-    
     const svgNS = "http://www.w3.org/2000/svg";
 
-    // Pencil tool
-    if (this.activeTool === 'pen') {
-      let tempPath = svg.querySelector('.temp-path');
-      if (!tempPath) {
-        tempPath = document.createElementNS(svgNS, "path");
-        tempPath.setAttribute("class", "temp-path");
-        tempPath.setAttribute("fill", "none");
-        tempPath.setAttribute("stroke", this.options.strokeColor);
-        tempPath.setAttribute("stroke-width", this.options.strokeWidth);
-        drawingGroup.appendChild(tempPath);
+    // Pencil, highlighter and shape tools
+    if (STROKE_TOOLS.includes(this.activeTool)) {
+      const isShape = SHAPE_TOOLS.includes(this.activeTool);
+      let live = this.liveStroke;
+      if (!live) {
+        // The stroke record lives as long as the gesture and shares its points
+        const stroke = isShape ? this._createShape() : this._createStroke();
+        if (!isShape) stroke.points = this.points;
+        const path = document.createElementNS(svgNS, "path");
+        path.setAttribute("class", "temp-path");
+        this._applyStrokeAttributes(path, stroke);
+        this._getStrokeLayer(drawingGroup, stroke).appendChild(path);
+        live = this.liveStroke = { stroke, path, cache: {} };
+      } else if (isShape) {
+        live.stroke = this._createShape();
       }
 
-      const pathData = this._generatePathData(this.points);
-      tempPath.setAttribute("d", pathData);
+      const stroke = live.stroke;
+      if (!isShape) {
+        // Only the segments of new points are generated
+        stroke.pathData = this._generateLiveStrokeData(stroke, live.cache);
+      }
+      live.path.setAttribute("d", stroke.pathData);
+      this._sendStrokeUpdate(stroke);
+      this._emit('strokeupdate', { element: this.activeElement, id, tool: this.activeTool, stroke });
     }
 
-    // Eraser tool
+    // Eraser tool, along every segment added since the last update
     if (this.activeTool === 'eraser') {
-      let tempEraserMask = svg.querySelector('#temp-eraser-mask');
-      if (!tempEraserMask) {
-        tempEraserMask = document.createElementNS(svgNS, 'mask');
-        tempEraserMask.setAttribute('id', 'temp-eraser-mask');
-        const rect = document.createElementNS(svgNS, 'rect');
-        rect.setAttribute('fill', 'white');
-        rect.setAttribute('width', '100%');
-        rect.setAttribute('height', '100%');
-        tempEraserMask.appendChild(rect);
-        const defs = svg.querySelector('defs');
-        if (defs) defs.appendChild(tempEraserMask);
-        drawingGroup.setAttribute('mask', 'url(#temp-eraser-mask)');
-      }
-
-      let tempPath = svg.querySelector('.temp-eraser-path');
-      if (!tempPath) {
-        tempPath = document.createElementNS(svgNS, 'path');
-        tempPath.setAttribute('class', 'temp-eraser-path');
-        tempPath.setAttribute('fill', 'none');
-        tempPath.setAttribute('stroke', 'black');
-        tempPath.setAttribute('stroke-width', this.options.eraserWidth);
-        tempEraserMask.appendChild(tempPath);
+      for (let i = this.renderedPoints; i < this.points.length; i++) {
+        this._eraseSegment(this.points[i - 1], this.points[i]);
       }
+    }
 
-      const pathData = this._generatePathData(this.points);
-      tempPath.setAttribute('d', pathData);
+    // Select tool
+    if (this.activeTool === 'select') {
+      this._updateSelect();
     }
+
+    this.renderedPoints = this.points.length;
   }
-  
+
   /**
    * Finalize the stroke when drawing ends
    * @private
@@ -549,182 +1928,2945 @@ class VectorPen {
     const svg = this.activeElement.querySelector('.vector-pen-layer');
     if (!svg) return;
 
-    const id = this.activeElement.id || `vector-pen-${this.elements.indexOf(this.activeElement) + 1}`;
+    const id = this._getElementId(this.activeElement);
     const drawingGroup = this.drawingGroups[id];
     
-    const pathData = this._generatePathData(this.points);
-    
-    const svgNS = "http://www.w3.org/2000/svg";
-
-    // Pencil tool
-    const path = document.createElementNS(svgNS, "path");
-    path.setAttribute("fill", "none");
-    path.setAttribute("stroke", this.options.strokeColor);
-    path.setAttribute("stroke-width", this.options.strokeWidth);
-    path.setAttribute("class", "vector-pen-stroke");
-    path.setAttribute("d", pathData);
-    drawingGroup.appendChild(path);
-
-    // Eraser tool
-    if (this.activeTool === 'eraser') {
-      const tempMask = svg.querySelector('#temp-eraser-mask');
-      const tempPath = svg.querySelector('.temp-eraser-path');
-
-      const permanentMaskId = 'eraser-mask-' + Date.now();
-      const permMask = document.createElementNS(svgNS, 'mask');
-      permMask.setAttribute('id', permanentMaskId);
-      const bgRect = document.createElementNS(svgNS, 'rect');
-      bgRect.setAttribute('fill', 'white');
-      bgRect.setAttribute('width', '100%');
-      bgRect.setAttribute('height', '100%');
-      permMask.appendChild(bgRect);
-
-      if (tempPath) {
-        tempPath.setAttribute('class', '');
-        permMask.appendChild(tempPath);
-      }
-      const defs = svg.querySelector('defs');
-      if (defs) defs.appendChild(permMask);
-
-      // Wrap the existing drawingGroup with a new masked group so erasures remain
-      const newMaskedGroup = document.createElementNS(svgNS, 'g');
-      newMaskedGroup.setAttribute('mask', `url(#${permanentMaskId})`);
-      while (drawingGroup.firstChild) {
-        newMaskedGroup.appendChild(drawingGroup.firstChild);
+    if (!SHAPE_TOOLS.includes(this.activeTool)) {
+      // Drop points that add nothing visible before the stroke is stored and sent
+      const { tolerance } = this._getSmoothing();
+      if (tolerance > 0) {
+        this.points = this._simplifyPoints(this.points, tolerance / this._getViewScale(this.activeElement));
       }
-      drawingGroup.appendChild(newMaskedGroup);
+    }
 
-      // Clean up the temporary mask
-      if (tempMask) tempMask.remove();
-      drawingGroup.removeAttribute('mask');
+    let stroke = SHAPE_TOOLS.includes(this.activeTool) ? this._createShape() : this._createStroke();
+    if (this.activeTool === 'pen' && this.options.snapToShape) {
+      stroke = this._recognizeShape(stroke) || stroke;
     }
+    stroke.clock = ++this.clock;
 
-    // Store the path in our collection
-    this.paths[id].push({
-      type: this.activeTool,
-      pathData,
-      points: [...this.points]
-    });
-    
     // Remove temp paths
-    const tempPath = svg.querySelector('.temp-path');
-    if (tempPath) tempPath.remove();
-    const tempEraserPath = svg.querySelector('.temp-eraser-path');
-    if (tempEraserPath) tempEraserPath.remove();
+    if (this.liveStroke) {
+      this.liveStroke.path.remove();
+      this.liveStroke = null;
+    }
+
+    const element = this.activeElement;
+    const detail = { element, id, tool: this.activeTool, stroke };
+    if (!this._emit('beforestrokeend', detail)) {
+      this._emitStrokeCancel();
+      return;
+    }
+
+    this._renderStroke(svg, drawingGroup, stroke);
+
+    // Store the path in our collection. The array is replaced rather than
+    // mutated so history entries can keep references to earlier states.
+    const before = this.paths[id];
+    this.paths[id] = [...before, stroke];
+    this._flattenRenderedRuns(element);
+    this._pushHistory([{ element, before, after: this.paths[id] }], 'stroke');
+    this._emit('strokeend', detail);
   }
-  
+
   /**
-   * Generate SVG path data from points
+   * Tell listeners the stroke being drawn was dropped
    * @private
    */
-  _generatePathData(points) {
-    if (points.length < 2) return '';
-    
-    let pathData = `M ${points[0].x} ${points[0].y}`;
-    
-    // Use quadratic curves to smooth the line
-    for (let i = 1; i < points.length - 1; i++) {
-      const c = (points[i].x + points[i+1].x) / 2;
-      const d = (points[i].y + points[i+1].y) / 2;
-      pathData += ` Q ${points[i].x} ${points[i].y}, ${c} ${d}`;
+  _emitStrokeCancel() {
+    const element = this.activeElement;
+    const id = this._getElementId(element);
+    if (this.sentPoints > 0) {
+      this._send({ type: 'strokecancel', element: id, strokeId: this.strokeId });
     }
-    
-    // Add the last point
-    pathData += ` L ${points[points.length - 1].x} ${points[points.length - 1].y}`;
-    
-    return pathData;
+    this._emit('strokecancel', { element, id, tool: this.activeTool });
   }
-  
+
   /**
-   * Handle element resize
+   * Build a stroke record from the points drawn so far
    * @private
    */
-  handleResize(entries) {
-    entries.forEach(entry => {
-      const element = entry.target;
-      const svg = element.querySelector('.vector-pen-layer');
-      if (svg) {
-        this._updateSVGSize(element, svg);
-      }
-    });
-  }
-  
+  _createStroke() {
+    const isHighlighter = this.activeTool === 'highlighter';
+    const style = this._getNewStrokeStyle(this.activeTool);
+    const stroke = {
+      id: this.strokeId,
+      layer: this.activeLayers[this._getElementId(this.activeElement)],
+      type: this.activeTool,
+      ...style,
+      // Highlighter ink keeps an even width like a felt tip, and dashes
+      // need a stroked centre line
+      sensitivity: isHighlighter || style.dash ? 0 : this.options.pressureSensitivity,
+      pointerType: this.pointerType,
+      curve: this._getSmoothing().curve,
+      createdAt: this.strokeStartTime,
+      points: [...this.points]
+    };
+    stroke.pathData = this._generateStrokeData(stroke);
+    return stroke;
+  }
+
+  /**
+   * Build a shape record from the first and last point drawn so far
+   * @private
+   */
+  _createShape() {
+    const start = this.points[0];
+    let end = this.points[this.points.length - 1];
+    const type = this.activeTool;
+    let params;
+
+    if (type === 'line' || type === 'arrow') {
+      if (this.shiftKey) {
+        // Lock the angle to multiples of 45 degrees
+        const step = Math.PI / 4;
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const angle = Math.round(Math.atan2(end.y - start.y, end.x - start.x) / step) * step;
+        end = { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+      }
+      params = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    } else {
+      let width = end.x - start.x;
+      let height = end.y - start.y;
+      if (this.shiftKey) {
+        // Lock the aspect ratio to a square or circle
+        const size = Math.max(Math.abs(width), Math.abs(height));
+        width = Math.sign(width || 1) * size;
+        height = Math.sign(height || 1) * size;
+      }
+
+      const x = Math.min(start.x, start.x + width);
+      const y = Math.min(start.y, start.y + height);
+      params = type === 'rectangle'
+        ? { x, y, width: Math.abs(width), height: Math.abs(height) }
+        : { cx: x + Math.abs(width) / 2, cy: y + Math.abs(height) / 2, rx: Math.abs(width) / 2, ry: Math.abs(height) / 2 };
+    }
+
+    const shape = {
+      id: this.strokeId,
+      layer: this.activeLayers[this._getElementId(this.activeElement)],
+      type,
+      ...this._getNewStrokeStyle(type),
+      createdAt: this.strokeStartTime,
+      params
+    };
+    shape.pathData = this._generateStrokeData(shape);
+    return shape;
+  }
+
+  /**
+   * Style a new stroke of a tool gets from the current options
+   * @private
+   * @returns {Object} - { color, width, opacity, dash, linecap, linejoin }
+   */
+  _getNewStrokeStyle(tool) {
+    const viewScale = this._getViewScale(this.activeElement);
+    if (tool === 'highlighter') {
+      return {
+        color: this.options.highlighterColor,
+        width: this.options.highlighterWidth / viewScale,
+        opacity: this.options.highlighterOpacity,
+        dash: null,
+        ...LINE_STYLES.highlighter
+      };
+    }
+
+    const { strokeDash } = this.options;
+    return {
+      color: this.options.strokeColor,
+      width: this.options.strokeWidth / viewScale,
+      opacity: this.options.strokeOpacity,
+      dash: strokeDash && strokeDash.length > 0 ? [...strokeDash] : null,
+      linecap: this.options.strokeLinecap || LINE_STYLES[tool].linecap,
+      linejoin: this.options.strokeLinejoin || LINE_STYLES[tool].linejoin
+    };
+  }
+
+  /**
+   * Try to turn a freehand pen stroke into a clean line, rectangle or ellipse
+   * @private
+   * @returns {Object|null} - A shape record, or null if nothing matched
+   */
+  _recognizeShape(stroke) {
+    const points = stroke.points;
+    const length = this._polylineLength(points);
+    const minSize = 10 / this._getViewScale(this.activeElement);
+    if (points.length < 3 || length < minSize * 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const gap = Math.hypot(last.x - first.x, last.y - first.y);
+    const toShape = (type, params) => {
+      const shape = {
+        id: stroke.id,
+        layer: stroke.layer,
+        type,
+        ...this._getNewStrokeStyle(type),
+        color: stroke.color,
+        width: stroke.width,
+        createdAt: stroke.createdAt,
+        params
+      };
+      shape.pathData = this._generateStrokeData(shape);
+      return shape;
+    };
+
+    // Nearly as long end to end as along the path: a straight line
+    if (gap / length > 0.95) {
+      return toShape('line', { x1: first.x, y1: first.y, x2: last.x, y2: last.y });
+    }
+
+    // Anything else has to come back to where it started
+    if (gap > length * 0.2) return null;
+
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    if (width < minSize || height < minSize) return null;
+
+    const cx = minX + width / 2;
+    const cy = minY + height / 2;
+    const size = Math.min(width, height);
+
+    // Mean deviation from the ellipse inscribed in the bounding box
+    let ellipseError = 0;
+    // Mean distance to the nearest bounding box edge, relative to its size
+    let rectangleError = 0;
+    points.forEach(point => {
+      const nx = (point.x - cx) / (width / 2);
+      const ny = (point.y - cy) / (height / 2);
+      ellipseError += Math.abs(Math.hypot(nx, ny) - 1);
+      rectangleError += Math.min(
+        Math.abs(point.x - minX), Math.abs(point.x - minX - width),
+        Math.abs(point.y - minY), Math.abs(point.y - minY - height)
+      ) / size;
+    });
+    ellipseError /= points.length;
+    rectangleError /= points.length;
+
+    if (rectangleError < 0.06 && rectangleError < ellipseError) {
+      return toShape('rectangle', { x: minX, y: minY, width, height });
+    }
+    if (ellipseError < 0.12) {
+      return toShape('ellipse', { cx, cy, rx: width / 2, ry: height / 2 });
+    }
+    return null;
+  }
+
+  /**
+   * Append a stored stroke to the drawing group
+   * @private
+   */
+  _renderStroke(svg, drawingGroup, stroke) {
+    const svgNS = "http://www.w3.org/2000/svg";
+
+    // Pencil, highlighter and shapes
+    if (stroke.type === 'pen' || stroke.type === 'highlighter' || SHAPE_TOOLS.includes(stroke.type)) {
+      const path = document.createElementNS(svgNS, "path");
+      this._applyStrokeAttributes(path, stroke);
+      path.setAttribute("class", "vector-pen-stroke");
+      path.setAttribute("d", stroke.pathData);
+      this._getStrokeLayer(drawingGroup, stroke).appendChild(path);
+      this.strokeElements.set(stroke, path);
+    } else if (stroke.type === 'text') {
+      // The outer group takes the preview transform of select drags
+      const group = document.createElementNS(svgNS, "g");
+      group.setAttribute("class", "vector-pen-stroke vector-pen-text");
+      const text = document.createElementNS(svgNS, "text");
+      const layout = this._getTextLayout(stroke);
+      text.setAttribute("fill", stroke.color);
+      text.setAttribute("font-size", stroke.fontSize);
+      text.setAttribute("font-family", stroke.fontFamily);
+      if (layout.transform) {
+        text.setAttribute("transform", layout.transform);
+      }
+      layout.lines.forEach(line => {
+        const tspan = document.createElementNS(svgNS, "tspan");
+        tspan.setAttribute("x", line.x);
+        tspan.setAttribute("y", line.y);
+        tspan.textContent = line.text;
+        text.appendChild(tspan);
+      });
+      group.appendChild(text);
+      this._getStrokeLayer(drawingGroup, stroke).appendChild(group);
+      this.strokeElements.set(stroke, group);
+    }
+  }
+
+  /**
+   * Get the sub-layer of a drawing group a stroke is rendered into
+   * @private
+   */
+  _getStrokeLayer(drawingGroup, stroke) {
+    const layerClass = stroke.type === 'highlighter' ? 'highlighter-layer' : 'ink-layer';
+    const layerGroup = Array.from(drawingGroup.children)
+      .find(group => group.dataset.layer === stroke.layer) || drawingGroup.firstChild;
+    return layerGroup.querySelector(`.${layerClass}`);
+  }
+
+  /**
+   * Create the SVG group of a layer with its highlighter and ink sub-layers
+   * @private
+   */
+  _createLayerGroup(name) {
+    const svgNS = "http://www.w3.org/2000/svg";
+    const group = document.createElementNS(svgNS, "g");
+    group.setAttribute("class", "drawing-layer");
+    group.dataset.layer = name;
+
+    // Highlighter ink sits underneath pen ink and shapes
+    const highlighterLayer = document.createElementNS(svgNS, "g");
+    highlighterLayer.setAttribute("class", "highlighter-layer");
+    group.appendChild(highlighterLayer);
+    const inkLayer = document.createElementNS(svgNS, "g");
+    inkLayer.setAttribute("class", "ink-layer");
+    group.appendChild(inkLayer);
+
+    return group;
+  }
+
+  /**
+   * Remove all rendered strokes from a drawing group, keeping its sub-layers
+   * @private
+   */
+  _emptyDrawingGroup(drawingGroup) {
+    drawingGroup.querySelectorAll('.highlighter-layer, .ink-layer').forEach(layer => {
+      while (layer.lastChild) {
+        layer.removeChild(layer.lastChild);
+      }
+    });
+  }
+
+  /**
+   * Set paint attributes of a stroke path
+   * @private
+   */
+  _applyStrokeAttributes(path, stroke) {
+    path.removeAttribute("stroke-width");
+    const attributes = this._getStrokeAttributes(stroke);
+    Object.keys(attributes).forEach(name => path.setAttribute(name, attributes[name]));
+
+    if (stroke.type === 'highlighter') {
+      path.style.mixBlendMode = 'multiply';
+    }
+  }
+
+  /**
+   * Start an eraser pass at the first pointer position
+   * @private
+   */
+  _beginErase() {
+    const svg = this.activeElement.querySelector('.vector-pen-layer');
+    const svgNS = "http://www.w3.org/2000/svg";
+
+    this.eraseBefore = this.paths[this._getElementId(this.activeElement)];
+
+    const cursor = document.createElementNS(svgNS, 'circle');
+    cursor.setAttribute('class', 'eraser-cursor');
+    cursor.setAttribute('r', this.options.eraserWidth / 2 / this._getViewScale(this.activeElement));
+    svg.appendChild(cursor);
+    this.eraserCursor = cursor;
+
+    this._eraseSegment(this.points[0], this.points[0]);
+  }
+
+  /**
+   * Erase everything the eraser circle touches while moving from one point to the next
+   * @private
+   */
+  _eraseSegment(from, to) {
+    if (this.eraserCursor) {
+      this.eraserCursor.setAttribute('cx', to.x);
+      this.eraserCursor.setAttribute('cy', to.y);
+    }
+
+    const id = this._getElementId(this.activeElement);
+    const radius = this.options.eraserWidth / 2 / this._getViewScale(this.activeElement);
+    const before = this.paths[id];
+    const paths = this._erasePaths(before, from, to, radius, this.options.eraserMode, this.activeLayers[id]);
+    if (paths !== before) {
+      this.paths[id] = paths;
+      this._updateRenderedStrokes(this.activeElement, before, paths);
+    }
+  }
+
+  /**
+   * Bring the rendered strokes of an element from one list of strokes to
+   * another by only removing and adding the strokes that differ. Flattened
+   * images holding a removed stroke are split back into single strokes.
+   * Falls back to rendering everything when a removed stroke can't be found.
+   * @private
+   */
+  _updateRenderedStrokes(element, before, after) {
+    const kept = new Set(after);
+    const removed = before.filter(stroke => !kept.has(stroke));
+    removed.forEach(stroke => {
+      const run = !this.strokeElements.get(stroke) && this.flattenedRuns.get(stroke);
+      if (run && run.image.parentNode) this._unflattenStrokes(element, run);
+    });
+    if (removed.some(stroke => !this.strokeElements.get(stroke))) {
+      this._renderElement(element);
+      return;
+    }
+
+    const svg = element.querySelector('.vector-pen-layer');
+    const drawingGroup = this.drawingGroups[this._getElementId(element)];
+    const previous = new Set(before);
+    after.forEach((stroke, i) => {
+      if (previous.has(stroke)) return;
+      this._renderStroke(svg, drawingGroup, stroke);
+
+      // Move it under the next stroke that was already there, to keep the order
+      const rendered = this.strokeElements.get(stroke);
+      const next = after.slice(i + 1).map(other => previous.has(other) && this._getRenderedNode(other))
+        .find(other => other && other.parentNode === rendered.parentNode);
+      if (next) rendered.parentNode.insertBefore(rendered, next);
+    });
+    removed.forEach(stroke => this.strokeElements.get(stroke).remove());
+  }
+
+  /**
+   * Record a finished eraser pass as one undoable step
+   * @private
+   */
+  _finalizeErase() {
+    if (this.eraserCursor) {
+      this.eraserCursor.remove();
+      this.eraserCursor = null;
+    }
+
+    const id = this._getElementId(this.activeElement);
+    const before = this.eraseBefore;
+    const after = this.paths[id];
+    this.eraseBefore = null;
+
+    if (before && before !== after) {
+      // Flattened images the eraser split up are flattened again once, now the pass is over
+      this._flattenRenderedRuns(this.activeElement);
+      this._pushHistory([{ element: this.activeElement, before, after }], 'erase');
+      this._emit('erase', { element: this.activeElement, id, before, after });
+    }
+  }
+
+  /**
+   * Start a select gesture. On the current selection or its handles it
+   * moves, scales or rotates; anywhere else it picks new strokes.
+   * @private
+   */
+  _beginSelect(event) {
+    const point = this.points[0];
+    const handle = event.target.getAttribute && event.target.getAttribute('data-handle');
+    const selection = this.selection;
+
+    this.selectionDrag = null;
+    if (selection && selection.element === this.activeElement) {
+      const { x, y, width, height } = selection.bounds;
+      const corners = {
+        nw: { x, y },
+        ne: { x: x + width, y },
+        se: { x: x + width, y: y + height },
+        sw: { x, y: y + height }
+      };
+      const opposite = { nw: 'se', ne: 'sw', se: 'nw', sw: 'ne' };
+
+      if (handle === 'rotate') {
+        this.selectionDrag = { type: 'rotate', center: { x: x + width / 2, y: y + height / 2 } };
+      } else if (corners[handle]) {
+        this.selectionDrag = { type: 'scale', corner: corners[handle], origin: corners[opposite[handle]] };
+      } else if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height) {
+        this.selectionDrag = { type: 'move' };
+      }
+    }
+
+    if (this.selectionDrag) return;
+
+    this.clearSelection();
+
+    // Outline of the rectangle or lasso being dragged
+    const svgNS = "http://www.w3.org/2000/svg";
+    const marquee = document.createElementNS(svgNS, 'path');
+    marquee.setAttribute('class', 'selection-marquee');
+    this.activeElement.querySelector('.vector-pen-layer').appendChild(marquee);
+  }
+
+  /**
+   * Preview the select gesture while the pointer moves
+   * @private
+   */
+  _updateSelect() {
+    const svg = this.activeElement.querySelector('.vector-pen-layer');
+
+    if (this.selectionDrag) {
+      const { attribute } = this._getSelectionTransform();
+      this.selection.strokes.forEach(stroke => {
+        const path = this.strokeElements.get(stroke);
+        if (path) path.setAttribute('transform', attribute);
+      });
+      const overlay = svg.querySelector('.selection-overlay');
+      if (overlay) overlay.setAttribute('transform', attribute);
+      return;
+    }
+
+    const marquee = svg.querySelector('.selection-marquee');
+    if (!marquee) return;
+
+    if (this.options.selectionMode === 'rectangle') {
+      const start = this.points[0];
+      const end = this.points[this.points.length - 1];
+      marquee.setAttribute('d', `M ${start.x} ${start.y} H ${end.x} V ${end.y} H ${start.x} Z`);
+    } else {
+      marquee.setAttribute('d', `M ${this.points.map(point => `${point.x} ${point.y}`).join(' L ')} Z`);
+    }
+  }
+
+  /**
+   * Finish the select gesture: commit a transform or pick strokes
+   * @private
+   */
+  _finalizeSelect() {
+    const element = this.activeElement;
+    const id = this._getElementId(element);
+    const svg = element.querySelector('.vector-pen-layer');
+    const marquee = svg.querySelector('.selection-marquee');
+    if (marquee) marquee.remove();
+
+    if (this.selectionDrag) {
+      const transform = this._getSelectionTransform();
+      this.selectionDrag = null;
+      if (this.points.length < 2) return;
+
+      const strokes = this.selection.strokes.map(stroke => this._transformStroke(stroke, transform));
+      this._replaceSelectedStrokes(element, strokes);
+      return;
+    }
+
+    const start = this.points[0];
+    const end = this.points[this.points.length - 1];
+    const paths = this.paths[id].filter(stroke => stroke.layer === this.activeLayers[id]);
+    const isInside = this.options.selectionMode === 'rectangle'
+      ? point => point.x >= Math.min(start.x, end.x) && point.x <= Math.max(start.x, end.x) &&
+        point.y >= Math.min(start.y, end.y) && point.y <= Math.max(start.y, end.y)
+      : point => this._pointInPolygon(point, this.points);
+
+    const viewScale = this._getViewScale(element);
+    let strokes;
+    if (this._polylineLength(this.points) < 5 / viewScale) {
+      // A tap picks the topmost stroke under the pointer, with a
+      // finger-friendly hit area for thin strokes
+      const hit = this._hitTest(paths, start, 6 / viewScale);
+      strokes = hit ? [hit] : [];
+    } else {
+      // A drag picks the strokes that lie completely inside it
+      strokes = paths.filter(stroke => this._getStrokePolylines(stroke)
+        .every(polyline => polyline.every(isInside)));
+    }
+
+    this._setSelection(element, strokes);
+  }
+
+  /**
+   * Abort the select gesture and drop any preview transform
+   * @private
+   */
+  _cancelSelect() {
+    const svg = this.activeElement.querySelector('.vector-pen-layer');
+    const marquee = svg && svg.querySelector('.selection-marquee');
+    if (marquee) marquee.remove();
+
+    if (this.selectionDrag) {
+      this.selectionDrag = null;
+      this.selection.strokes.forEach(stroke => {
+        const path = this.strokeElements.get(stroke);
+        if (path) path.removeAttribute('transform');
+      });
+      this._renderSelection(this.selection.element);
+    }
+  }
+
+  /**
+   * Describe the transform of the current select drag
+   * @private
+   * @returns {{map: Function, scale: number, angle: number, attribute: string}}
+   */
+  _getSelectionTransform() {
+    const drag = this.selectionDrag;
+    const start = this.points[0];
+    const end = this.points[this.points.length - 1];
+
+    if (drag.type === 'scale') {
+      // Uniform scale around the opposite corner, following the dragged corner
+      const { origin, corner } = drag;
+      const vx = corner.x - origin.x;
+      const vy = corner.y - origin.y;
+      const length = vx * vx + vy * vy || 1;
+      const scale = Math.max(0.05, ((end.x - origin.x) * vx + (end.y - origin.y) * vy) / length);
+      return {
+        map: point => ({ x: origin.x + (point.x - origin.x) * scale, y: origin.y + (point.y - origin.y) * scale }),
+        scale,
+        angle: 0,
+        attribute: `translate(${origin.x} ${origin.y}) scale(${scale}) translate(${-origin.x} ${-origin.y})`
+      };
+    }
+
+    if (drag.type === 'rotate') {
+      const { center } = drag;
+      let angle = Math.atan2(end.y - center.y, end.x - center.x) - Math.atan2(start.y - center.y, start.x - center.x);
+      if (this.shiftKey) {
+        // Lock to 15 degree steps
+        const step = Math.PI / 12;
+        angle = Math.round(angle / step) * step;
+      }
+      const degrees = angle * 180 / Math.PI;
+      return {
+        map: point => this._rotatePoint(point, center, angle),
+        scale: 1,
+        angle: degrees,
+        attribute: `rotate(${degrees} ${center.x} ${center.y})`
+      };
+    }
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    return {
+      map: point => ({ x: point.x + dx, y: point.y + dy }),
+      scale: 1,
+      angle: 0,
+      attribute: `translate(${dx} ${dy})`
+    };
+  }
+
+  /**
+   * Swap the selected strokes for new versions in place, as one undoable step
+   * @private
+   */
+  _replaceSelectedStrokes(element, replacements) {
+    const id = this._getElementId(element);
+    const before = this.paths[id];
+    const strokes = this.selection.strokes;
+
+    this.paths[id] = before.map(stroke => {
+      const index = strokes.indexOf(stroke);
+      return index === -1 ? stroke : replacements[index];
+    });
+    this._renderElement(element);
+    this._pushHistory([{ element, before, after: this.paths[id] }]);
+    this._setSelection(element, replacements);
+  }
+
+  /**
+   * Select strokes of an element and draw the selection box
+   * @private
+   */
+  _setSelection(element, strokes) {
+    const previous = this.selection && this.selection.element;
+    if (strokes.length === 0) {
+      this.selection = null;
+    } else {
+      this.selection = { element, strokes, bounds: this._getStrokesBounds(strokes) };
+      // Selected strokes are transformed through their own elements
+      if (strokes.some(stroke => !this.strokeElements.get(stroke))) this._renderElement(element);
+    }
+
+    if (previous && previous !== element) this._renderSelection(previous);
+    this._renderSelection(element);
+  }
+
+  /**
+   * Draw (or remove) the selection box, its handles and action buttons
+   * @private
+   */
+  _renderSelection(element) {
+    const svg = element.querySelector('.vector-pen-layer');
+    if (!svg) return;
+
+    const oldOverlay = svg.querySelector('.selection-overlay');
+    if (oldOverlay) oldOverlay.remove();
+    const oldActions = element.querySelector('.selection-actions');
+    if (oldActions) oldActions.remove();
+
+    if (!this.selection || this.selection.element !== element) return;
+
+    const svgNS = "http://www.w3.org/2000/svg";
+    const { x, y, width, height } = this.selection.bounds;
+    const view = this.views[this._getElementId(element)];
+    // Handles keep their on-screen size whatever the drawing space scale
+    const unit = 1 / this._getViewScale(element);
+    const overlay = document.createElementNS(svgNS, 'g');
+    overlay.setAttribute('class', 'selection-overlay');
+
+    const box = document.createElementNS(svgNS, 'rect');
+    box.setAttribute('class', 'selection-box');
+    box.setAttribute('x', x);
+    box.setAttribute('y', y);
+    box.setAttribute('width', width);
+    box.setAttribute('height', height);
+    overlay.appendChild(box);
+
+    const stem = document.createElementNS(svgNS, 'line');
+    stem.setAttribute('class', 'selection-rotate-stem');
+    stem.setAttribute('x1', x + width / 2);
+    stem.setAttribute('y1', y);
+    stem.setAttribute('x2', x + width / 2);
+    stem.setAttribute('y2', y - 24 * unit);
+    overlay.appendChild(stem);
+
+    const rotateHandle = document.createElementNS(svgNS, 'circle');
+    rotateHandle.setAttribute('class', 'selection-handle');
+    rotateHandle.setAttribute('data-handle', 'rotate');
+    rotateHandle.setAttribute('cx', x + width / 2);
+    rotateHandle.setAttribute('cy', y - 24 * unit);
+    rotateHandle.setAttribute('r', 6 * unit);
+    overlay.appendChild(rotateHandle);
+
+    const handleSize = 10 * unit;
+    const corners = { nw: [x, y], ne: [x + width, y], se: [x + width, y + height], sw: [x, y + height] };
+    Object.keys(corners).forEach(name => {
+      const handle = document.createElementNS(svgNS, 'rect');
+      handle.setAttribute('class', `selection-handle selection-handle-${name}`);
+      handle.setAttribute('data-handle', name);
+      handle.setAttribute('x', corners[name][0] - handleSize / 2);
+      handle.setAttribute('y', corners[name][1] - handleSize / 2);
+      handle.setAttribute('width', handleSize);
+      handle.setAttribute('height', handleSize);
+      overlay.appendChild(handle);
+    });
+
+    svg.appendChild(overlay);
+
+    // Touch devices have no Delete key, so offer the actions as buttons
+    const actions = document.createElement('div');
+    actions.className = 'selection-actions';
+    actions.style.left = `${view.panX + view.zoom * (view.offsetX + (x + width) * view.scaleX)}px`;
+    actions.style.top = `${Math.max(0, view.panY + view.zoom * (view.offsetY + y * view.scaleY) - 44)}px`;
+
+    const duplicateButton = document.createElement('button');
+    duplicateButton.className = 'selection-action';
+    duplicateButton.title = this.strings.duplicate;
+    duplicateButton.innerHTML = `
+      <svg viewBox="0 0 24 24" width="18" height="18">
+        <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"></path>
+      </svg>
+    `;
+    duplicateButton.addEventListener('click', () => this.duplicateSelection());
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'selection-action';
+    deleteButton.title = this.strings.delete;
+    deleteButton.innerHTML = `
+      <svg viewBox="0 0 24 24" width="18" height="18">
+        <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"></path>
+      </svg>
+    `;
+    deleteButton.addEventListener('click', () => this.deleteSelection());
+
+    // Keep taps on the buttons from starting a new select gesture
+    actions.addEventListener('pointerdown', e => e.stopPropagation());
+    actions.appendChild(duplicateButton);
+    actions.appendChild(deleteButton);
+    element.appendChild(actions);
+  }
+
+  /**
+   * Rebuild the SVG of an element from its stored paths
+   * @private
+   * @param {HTMLElement} element - Attached element
+   * @param {Array} [paths] - Strokes to show instead of the stored ones
+   */
+  _renderElement(element, paths) {
+    const svg = element.querySelector('.vector-pen-layer');
+    if (!svg) return;
+
+    const id = this._getElementId(element);
+    const drawingGroup = this.drawingGroups[id];
+
+    // Strokes still being drawn, here or by a peer, stay on top
+    const livePaths = Array.from(drawingGroup.querySelectorAll('.temp-path, .remote-path'))
+      .map(path => [path.parentNode, path]);
+
+    this._emptyDrawingGroup(drawingGroup);
+
+    const strokes = paths || this.paths[id];
+    strokes.forEach(stroke => this._ensureLayer(element, stroke.layer));
+
+    // Long runs of strokes are drawn as one image each, in their place
+    const runs = this._getFlattenRuns(element, strokes);
+    const flattened = new Set();
+    strokes.forEach(stroke => {
+      const run = runs.get(stroke);
+      if (run) {
+        this._flattenStrokes(drawingGroup, run);
+        run.forEach(member => flattened.add(member));
+      } else if (!flattened.has(stroke)) {
+        this._renderStroke(svg, drawingGroup, stroke);
+      }
+    });
+    livePaths.forEach(([layer, path]) => layer.appendChild(path));
+  }
+
+  /**
+   * Find the runs of strokes that can be flattened: at least flattenThreshold
+   * strokes in a row on the ink sub-layer of a layer. Highlighter ink keeps
+   * its blending with the page, and text and selected strokes stay editable.
+   * @private
+   * @returns {Map} - First stroke of each run -> the strokes of the run
+   */
+  _getFlattenRuns(element, strokes) {
+    const threshold = this.options.flattenThreshold;
+    const runs = new Map();
+    if (!threshold) return runs;
+
+    const selected = new Set(this.selection && this.selection.element === element ? this.selection.strokes : []);
+    const open = {}; // Layer name -> run still growing
+    const close = layer => {
+      const run = open[layer];
+      if (run && run.length >= threshold) runs.set(run[0], run);
+      delete open[layer];
+    };
+
+    strokes.forEach(stroke => {
+      if (stroke.type === 'highlighter') return;
+      if (stroke.type === 'text' || selected.has(stroke)) {
+        close(stroke.layer);
+        return;
+      }
+      (open[stroke.layer] = open[stroke.layer] || []).push(stroke);
+    });
+    Object.keys(open).forEach(close);
+
+    return runs;
+  }
+
+  /**
+   * Flatten runs of strokes that are drawn one by one, such as new ink or
+   * what an eraser pass left of a flattened image, once there are enough of
+   * them in a row
+   * @private
+   */
+  _flattenRenderedRuns(element) {
+    const threshold = this.options.flattenThreshold;
+    if (!threshold) return;
+
+    const drawingGroup = this.drawingGroups[this._getElementId(element)];
+    const selected = new Set(this.selection && this.selection.element === element ? this.selection.strokes : []);
+    const open = {}; // Layer name -> run still growing
+    const close = layer => {
+      const run = open[layer];
+      delete open[layer];
+      if (!run || run.length < threshold) return;
+
+      const rendered = run.map(stroke => this.strokeElements.get(stroke));
+      this._flattenStrokes(drawingGroup, run, rendered[0]);
+      rendered.forEach(path => path.remove());
+    };
+
+    this.paths[this._getElementId(element)].forEach(stroke => {
+      if (stroke.type === 'highlighter') return;
+      if (stroke.type === 'text' || selected.has(stroke) || !this.strokeElements.get(stroke)) {
+        close(stroke.layer);
+        return;
+      }
+      (open[stroke.layer] = open[stroke.layer] || []).push(stroke);
+    });
+    Object.keys(open).forEach(close);
+  }
+
+  /**
+   * Draw the strokes of a flattened image one by one again, in its place
+   * @private
+   * @param {HTMLElement} element - Attached element
+   * @param {Object} run - { image, strokes } from flattenedRuns
+   */
+  _unflattenStrokes(element, run) {
+    const svg = element.querySelector('.vector-pen-layer');
+    const drawingGroup = this.drawingGroups[this._getElementId(element)];
+    run.strokes.forEach(stroke => {
+      this._renderStroke(svg, drawingGroup, stroke);
+      run.image.parentNode.insertBefore(this.strokeElements.get(stroke), run.image);
+      this.flattenedRuns.delete(stroke);
+    });
+    run.image.remove();
+  }
+
+  /**
+   * Node a stroke is drawn with: its own element or the flattened image holding it
+   * @private
+   */
+  _getRenderedNode(stroke) {
+    const run = this.flattenedRuns.get(stroke);
+    return this.strokeElements.get(stroke) || (run && run.image.parentNode ? run.image : null);
+  }
+
+  /**
+   * Draw strokes as a single <image> of their SVG, which the browser
+   * rasterizes once instead of painting every path on each change. The
+   * strokes no longer have elements of their own.
+   * @private
+   * @param {SVGElement} drawingGroup - Drawing group of the element
+   * @param {Array} strokes - Strokes of one ink sub-layer, bottom to top
+   * @param {Element} [before] - Node to insert the image before, it is appended otherwise
+   */
+  _flattenStrokes(drawingGroup, strokes, before = null) {
+    const svgNS = "http://www.w3.org/2000/svg";
+    const { x, y, width, height } = this._getStrokesBounds(strokes);
+    const markup = `<svg xmlns="${svgNS}" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">` +
+      strokes.map(stroke => this._strokeToSVG(stroke)).join('') + '</svg>';
+
+    const image = document.createElementNS(svgNS, "image");
+    image.setAttribute("class", "vector-pen-flattened");
+    image.setAttribute("x", x);
+    image.setAttribute("y", y);
+    image.setAttribute("width", width);
+    image.setAttribute("height", height);
+    image.setAttribute("href", `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+    this._getStrokeLayer(drawingGroup, strokes[0]).insertBefore(image, before);
+
+    const run = { image, strokes };
+    strokes.forEach(stroke => {
+      this.strokeElements.delete(stroke);
+      this.flattenedRuns.set(stroke, run);
+    });
+  }
+  
+  /**
+   * Resolve the smoothing option to { streamline, tolerance, curve }
+   * @private
+   */
+  _getSmoothing() {
+    const smoothing = this.options.smoothing;
+    if (typeof smoothing === 'string') {
+      return SMOOTHING_PRESETS[smoothing] || SMOOTHING_PRESETS.raw;
+    }
+    return { ...SMOOTHING_PRESETS.raw, ...smoothing };
+  }
+
+  /**
+   * Handle element resize
+   * @private
+   */
+  handleResize(entries) {
+    entries.forEach(entry => {
+      const element = entry.target;
+      const svg = element.querySelector('.vector-pen-layer');
+      if (svg) {
+        this._updateSVGSize(element, svg);
+      }
+    });
+  }
+  
+  /**
+   * Update SVG size to match element size
+   * @private
+   */
+  _updateSVGSize(element, svg) {
+    const rect = element.getBoundingClientRect();
+    svg.setAttribute("width", rect.width);
+    svg.setAttribute("height", rect.height);
+
+    // Map the drawing space onto the element so strokes follow the content
+    const view = this._updateView(element, rect);
+    const x = -view.offsetX / view.scaleX;
+    const y = -view.offsetY / view.scaleY;
+    svg.setAttribute("viewBox", `${x} ${y} ${rect.width / view.scaleX} ${rect.height / view.scaleY}`);
+    svg.setAttribute("preserveAspectRatio", "none");
+
+    if (this.selection && this.selection.element === element) {
+      this._renderSelection(element);
+    }
+  }
+
+  /**
+   * Work out the drawing space of an element and how it maps to element pixels.
+   * With a loaded <img> the space is the image's natural size, placed where
+   * the image content is shown. Otherwise it is the element's size when it
+   * was first measured, scaled uniformly to fit the current size.
+   * @private
+   */
+  _updateView(element, rect) {
+    const id = this._getElementId(element);
+    const view = this.views[id];
+    const previous = { ...view };
+    const img = element.querySelector('img');
+
+    if (img && img.complete && img.naturalWidth) {
+      view.space = { width: img.naturalWidth, height: img.naturalHeight };
+      view.source = 'image';
+      Object.assign(view, this._getImageBox(img, rect, view));
+    } else if (view.source !== 'image') {
+      if (!view.space && rect.width && rect.height) {
+        view.space = { width: rect.width, height: rect.height };
+        view.source = 'element';
+      }
+      if (view.space) {
+        const scale = Math.min(rect.width / view.space.width, rect.height / view.space.height) || 1;
+        Object.assign(view, { scaleX: scale, scaleY: scale, offsetX: 0, offsetY: 0 });
+      }
+    }
+
+    // Strokes drawn before the image loaded were in element space; move them over
+    if (previous.source === 'element' && view.source === 'image' && this.paths[id].length) {
+      const scale = Math.min(previous.scaleX, previous.scaleY) / Math.min(view.scaleX, view.scaleY);
+      const map = this._mapHistory(element, stroke => this._transformStroke(stroke, {
+        map: point => ({
+          x: (point.x * previous.scaleX + previous.offsetX - view.offsetX) / view.scaleX,
+          y: (point.y * previous.scaleY + previous.offsetY - view.offsetY) / view.scaleY
+        }),
+        scale,
+        angle: 0
+      }));
+      this.paths[id] = this.paths[id].map(map);
+      this._renderElement(element);
+    }
+
+    return view;
+  }
+
+  /**
+   * Locate the painted image content inside an element, honouring object-fit
+   * @private
+   * @returns {{scaleX: number, scaleY: number, offsetX: number, offsetY: number}}
+   */
+  _getImageBox(img, elementRect, view) {
+    const imgRect = this._getUnzoomedRect(img, elementRect, view);
+    const naturalWidth = img.naturalWidth;
+    const naturalHeight = img.naturalHeight;
+    const objectFit = window.getComputedStyle(img).objectFit || 'fill';
+
+    let scaleX = imgRect.width / naturalWidth;
+    let scaleY = imgRect.height / naturalHeight;
+    if (objectFit !== 'fill') {
+      let scale = objectFit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+      if (objectFit === 'none') scale = 1;
+      if (objectFit === 'scale-down') scale = Math.min(scale, 1);
+      scaleX = scale;
+      scaleY = scale;
+    }
+
+    // object-position defaults to centred
+    return {
+      scaleX,
+      scaleY,
+      offsetX: imgRect.left - elementRect.left + (imgRect.width - naturalWidth * scaleX) / 2,
+      offsetY: imgRect.top - elementRect.top + (imgRect.height - naturalHeight * scaleY) / 2
+    };
+  }
+
+  /**
+   * Where a child of the element would be without the pinch zoom
+   * @private
+   */
+  _getUnzoomedRect(child, elementRect, view) {
+    const rect = child.getBoundingClientRect();
+    return {
+      left: elementRect.left + (rect.left - elementRect.left - view.panX) / view.zoom,
+      top: elementRect.top + (rect.top - elementRect.top - view.panY) / view.zoom,
+      width: rect.width / view.zoom,
+      height: rect.height / view.zoom
+    };
+  }
+
+  /**
+   * Size of one screen pixel in drawing space units, inverted
+   * @private
+   */
+  _getViewScale(element) {
+    const view = this.views[this._getElementId(element)];
+    return view ? Math.min(view.scaleX, view.scaleY) * view.zoom : 1;
+  }
+  
+  /**
+   * Add a layer on top of the element's other layers
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {string} name - Layer name, unique within the element
+   * @param {Object} [options]
+   * @param {boolean} [options.visible=true]
+   * @param {number} [options.opacity=1]
+   * @param {boolean} [options.locked=false]
+   * @param {boolean} [options.active=false] - Make it the layer new ink goes to
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  addLayer(element, name, options = {}) {
+    element = this._resolveElement(element);
+    if (!element) return this;
+
+    const id = this._getElementId(element);
+    if (this.layers[id].some(layer => layer.name === name)) {
+      throw new Error(`VectorPen: layer "${name}" already exists`);
+    }
+
+    this._setLayers(element, [...this.layers[id], {
+      name,
+      visible: options.visible !== false,
+      opacity: options.opacity ?? 1,
+      locked: options.locked || false
+    }]);
+    if (options.active) this.activeLayers[id] = name;
+    this._scheduleSave(element);
+    this._emit('layerchange', { element, id, layers: this.getLayers(element) });
+    return this;
+  }
+
+  /**
+   * List the layers of an element, bottom to top
+   * @param {HTMLElement|string} element - The element or its selector
+   * @returns {Array<Object>} - Copies of { name, visible, opacity, locked, active }
+   */
+  getLayers(element) {
+    element = this._resolveElement(element);
+    if (!element) return [];
+
+    const id = this._getElementId(element);
+    return this.layers[id].map(layer => ({ ...layer, active: layer.name === this.activeLayers[id] }));
+  }
+
+  /**
+   * Choose the layer new strokes go to and the eraser and select tools work on
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {string} name - Layer name
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  setActiveLayer(element, name) {
+    element = this._resolveElement(element);
+    if (!element) return this;
+
+    this._getLayer(element, name);
+    if (this.isDrawing && this.activeElement === element) this.cancelDrawing();
+    if (this.selection && this.selection.element === element) this.clearSelection();
+    this.activeLayers[this._getElementId(element)] = name;
+    this._scheduleSave(element);
+    this._emit('layerchange', { element, id: this._getElementId(element), layers: this.getLayers(element) });
+    return this;
+  }
+
+  /**
+   * Show or hide a layer
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {string} name - Layer name
+   * @param {boolean} visible
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  setLayerVisibility(element, name, visible) {
+    return this._updateLayer(element, name, { visible: Boolean(visible) });
+  }
+
+  /**
+   * Set the opacity of a whole layer
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {string} name - Layer name
+   * @param {number} opacity - 0 to 1
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  setLayerOpacity(element, name, opacity) {
+    return this._updateLayer(element, name, { opacity: Math.min(1, Math.max(0, opacity)) });
+  }
+
+  /**
+   * Lock a layer so its strokes can't be drawn on, erased or selected
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {string} name - Layer name
+   * @param {boolean} [locked=true] - False unlocks the layer
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  lockLayer(element, name, locked = true) {
+    return this._updateLayer(element, name, { locked: Boolean(locked) });
+  }
+
+  /**
+   * Change the stacking order of the layers
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {Array<string>} names - Layer names, bottom to top. Layers left
+   * out keep their relative order underneath the listed ones.
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  reorderLayers(element, names) {
+    element = this._resolveElement(element);
+    if (!element) return this;
+
+    const id = this._getElementId(element);
+    names.forEach(name => this._getLayer(element, name));
+    const rest = this.layers[id].filter(layer => !names.includes(layer.name));
+    this._setLayers(element, [...rest, ...names.map(name => this._getLayer(element, name))]);
+    this._scheduleSave(element);
+    this._emit('layerchange', { element, id, layers: this.getLayers(element) });
+    return this;
+  }
+
+  /**
+   * Remove a layer and its strokes. Removing the strokes can be undone.
+   * The last remaining layer can't be removed.
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {string} name - Layer name
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  removeLayer(element, name) {
+    element = this._resolveElement(element);
+    if (!element) return this;
+
+    const id = this._getElementId(element);
+    this._getLayer(element, name);
+    if (this.layers[id].length === 1) {
+      throw new Error('VectorPen: cannot remove the last layer');
+    }
+
+    if (this.isDrawing && this.activeElement === element) this.cancelDrawing();
+    if (this.selection && this.selection.element === element) this.clearSelection();
+
+    const before = this.paths[id];
+    this.paths[id] = before.filter(stroke => stroke.layer !== name);
+    this._setLayers(element, this.layers[id].filter(layer => layer.name !== name));
+    if (this.activeLayers[id] === name) {
+      this.activeLayers[id] = this.layers[id][this.layers[id].length - 1].name;
+    }
+    this._renderElement(element);
+    if (this.paths[id] !== before) {
+      this._pushHistory([{ element, before, after: this.paths[id] }]);
+    }
+    this._scheduleSave(element);
+    this._emit('layerchange', { element, id, layers: this.getLayers(element) });
+    return this;
+  }
+
+  /**
+   * Change properties of one layer
+   * @private
+   */
+  _updateLayer(element, name, changes) {
+    element = this._resolveElement(element);
+    if (!element) return this;
+
+    const id = this._getElementId(element);
+    const layer = this._getLayer(element, name);
+    this._setLayers(element, this.layers[id].map(entry => entry === layer ? { ...layer, ...changes } : entry));
+
+    if (this.selection && this.selection.element === element && (changes.locked || changes.visible === false)) {
+      this.clearSelection();
+    }
+    this._scheduleSave(element);
+    this._emit('layerchange', { element, id, layers: this.getLayers(element) });
+    return this;
+  }
+
+  /**
+   * Find a layer of an element by name
+   * @private
+   */
+  _getLayer(element, name) {
+    const layer = this.layers[this._getElementId(element)].find(entry => entry.name === name);
+    if (!layer) {
+      throw new Error(`VectorPen: unknown layer "${name}"`);
+    }
+    return layer;
+  }
+
+  /**
+   * Add a layer for strokes that arrive on a layer this element doesn't have,
+   * for example from a peer or from undoing removeLayer()
+   * @private
+   */
+  _ensureLayer(element, name) {
+    const id = this._getElementId(element);
+    if (!name || this.layers[id].some(layer => layer.name === name)) return;
+    this._setLayers(element, [...this.layers[id], { name, visible: true, opacity: 1, locked: false }]);
+  }
+
+  /**
+   * Replace the layer list of an element and bring its layer groups in line
+   * @private
+   */
+  _setLayers(element, layers) {
+    const id = this._getElementId(element);
+    const drawingGroup = this.drawingGroups[id];
+    const groups = {};
+    Array.from(drawingGroup.children).forEach(group => {
+      groups[group.dataset.layer] = group;
+    });
+
+    this.layers[id] = layers.map(layer => this._normalizeLayer(layer));
+
+    // Appending in order moves existing groups into the new stacking order
+    this.layers[id].forEach(layer => {
+      const group = groups[layer.name] || this._createLayerGroup(layer.name);
+      delete groups[layer.name];
+      group.setAttribute('display', layer.visible ? 'inline' : 'none');
+      group.setAttribute('opacity', layer.opacity);
+      drawingGroup.appendChild(group);
+    });
+    Object.values(groups).forEach(group => group.remove());
+
+    if (!this.layers[id].some(layer => layer.name === this.activeLayers[id])) {
+      this.activeLayers[id] = this.layers[id][this.layers[id].length - 1].name;
+    }
+  }
+
+  /**
+   * Resolve a selector to an attached element
+   * @private
+   * @returns {HTMLElement|null}
+   */
+  _resolveElement(element) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+    return element && this.elements.includes(element) ? element : null;
+  }
+
+  /**
+   * Clear all drawings from an element
+   * @param {HTMLElement|string} element - The element or selector to clear
+   */
+  clear(element) {
+    if (typeof element === 'string') {
+      this._clearElements(Array.from(document.querySelectorAll(element)));
+      return this;
+    }
+    
+    this._clearElements([element]);
+    return this;
+  }
+
+  /**
+   * Clear several elements as one undoable step
+   * @private
+   */
+  _clearElements(elements) {
+    const changes = elements
+      .map(element => this._clearElement(element))
+      .filter(Boolean);
+    this._pushHistory(changes, 'clear');
+    changes.forEach(({ element, before }) => {
+      this._emit('clear', { element, id: this._getElementId(element), strokes: before });
+    });
+  }
+
+  /**
+   * Clear drawings from a single element
+   * @private
+   * @returns {Object|null} - The history change, or null if nothing was cleared
+   */
+  _clearElement(element) {
+    const svg = element.querySelector('.vector-pen-layer');
+    if (!svg) return null;
+    
+    const id = this._getElementId(element);
+    const drawingGroup = this.drawingGroups[id];
+    if (!this._emit('beforeclear', { element, id, strokes: this.paths[id] })) return null;
+    
+    // Clear all paths in the drawing group
+    this._emptyDrawingGroup(drawingGroup);
+    if (this.selection && this.selection.element === element) {
+      this.clearSelection();
+    }
+    
+    // Clear stored paths
+    const before = this.paths[id];
+    if (!before || before.length === 0) return null;
+    this.paths[id] = [];
+    return { element, before, after: this.paths[id] };
+  }
+
+  /**
+   * Undo the last change. Without an element the most recent change on any
+   * element is undone (a clearAll() is undone as a whole).
+   * @param {HTMLElement|string} [element] - Limit undo to this element
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  undo(element) {
+    this._moveHistory(this.undoStack, this.redoStack, element, 'before');
+    return this;
+  }
+
+  /**
+   * Redo the last undone change
+   * @param {HTMLElement|string} [element] - Limit redo to this element
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  redo(element) {
+    this._moveHistory(this.redoStack, this.undoStack, element, 'after');
+    return this;
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @param {HTMLElement|string} [element] - Limit the check to this element
+   * @returns {boolean}
+   */
+  canUndo(element) {
+    return this._findHistoryEntry(this.undoStack, element) !== -1;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @param {HTMLElement|string} [element] - Limit the check to this element
+   * @returns {boolean}
+   */
+  canRedo(element) {
+    return this._findHistoryEntry(this.redoStack, element) !== -1;
+  }
+
+  /**
+   * Record a set of element changes as one undoable step
+   * @private
+   */
+  _pushHistory(changes, type = 'change') {
+    if (changes.length === 0) return;
+    this._sendChanges(changes, type);
+    changes.forEach(change => {
+      this._recordTimeline(change.element, type, change.before, change.after);
+      this._scheduleSave(change.element);
+    });
+
+    this.undoStack.push({ changes });
+    if (this.undoStack.length > this.options.historyLimit) {
+      this.undoStack.shift();
+    }
+
+    // A new change invalidates the redo history of the elements it touches
+    changes.forEach(change => this._removeFromStack(this.redoStack, change.element));
+    this._updateHistoryButtons();
+  }
+
+  /**
+   * Pop a change from one stack, restore its state and push it on the other
+   * @private
+   */
+  _moveHistory(from, to, element, state) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+      if (!element) return;
+    }
+
+    const index = this._findHistoryEntry(from, element);
+    if (index === -1) return;
+
+    let entry = from[index];
+    if (element) {
+      // Only take this element's part of a multi-element step
+      const changes = entry.changes.filter(change => change.element === element);
+      entry.changes = entry.changes.filter(change => change.element !== element);
+      if (entry.changes.length === 0) from.splice(index, 1);
+      entry = { changes };
+    } else {
+      from.splice(index, 1);
+    }
+
+    if (this.isDrawing) this.cancelDrawing();
+    this.clearSelection();
+
+    // Only the strokes the change touched are restored, so strokes other
+    // clients added in the meantime survive an undo
+    const previous = state === 'before' ? 'after' : 'before';
+    const changes = entry.changes.map(change => {
+      const id = this._getElementId(change.element);
+      const before = this.paths[id];
+      const { removed, added } = this._diffPaths(change[previous], change[state]);
+      this.paths[id] = this._applyDiff(before, removed, added);
+      this._renderElement(change.element);
+      this._recordTimeline(change.element, 'change', before, this.paths[id]);
+      this._scheduleSave(change.element);
+      return { element: change.element, before, after: this.paths[id] };
+    });
+    this._sendChanges(changes, 'change');
+    to.push(entry);
+    this._updateHistoryButtons();
+  }
+
+  /**
+   * Find the index of the latest history entry, optionally for one element
+   * @private
+   */
+  _findHistoryEntry(stack, element) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+      if (!element) return -1;
+    }
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (!element || stack[i].changes.some(change => change.element === element)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Drop all changes of an element from a history stack
+   * @private
+   */
+  _removeFromStack(stack, element) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      stack[i].changes = stack[i].changes.filter(change => change.element !== element);
+      if (stack[i].changes.length === 0) stack.splice(i, 1);
+    }
+  }
+
+  /**
+   * Drop all history of an element (used when detaching)
+   * @private
+   */
+  _forgetHistory(element) {
+    this._removeFromStack(this.undoStack, element);
+    this._removeFromStack(this.redoStack, element);
+    this._updateHistoryButtons();
+  }
+
+  /**
+   * Replace the strokes in an element's undo/redo steps and replay timeline
+   * with mapped copies, so its history survives moving the strokes to
+   * another drawing space. A stroke shared by several steps is mapped once,
+   * which keeps the steps comparable by identity.
+   * @private
+   * @returns {Function} - Maps a stroke the same way, reusing earlier results
+   */
+  _mapHistory(element, mapStroke) {
+    const mapped = new Map();
+    const map = stroke => {
+      if (!mapped.has(stroke)) mapped.set(stroke, mapStroke(stroke));
+      return mapped.get(stroke);
+    };
+
+    [...this.undoStack, ...this.redoStack].forEach(entry => entry.changes.forEach(change => {
+      if (change.element !== element) return;
+      change.before = change.before.map(map);
+      change.after = change.after.map(map);
+    }));
+
+    const timeline = this.timelines[this._getElementId(element)];
+    if (timeline) {
+      timeline.start = timeline.start.map(map);
+      timeline.events.forEach(event => {
+        event.added = event.added.map(map);
+      });
+    }
+    return map;
+  }
+
+  /**
+   * Enable or disable the toolbar undo/redo buttons
+   * @private
+   */
+  _updateHistoryButtons() {
+    const undoButton = this.toolButtons.undo;
+    const redoButton = this.toolButtons.redo;
+    if (undoButton) undoButton.disabled = this.undoStack.length === 0;
+    if (redoButton) redoButton.disabled = this.redoStack.length === 0;
+  }
+
+  /**
+   * Delete the selected strokes
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  deleteSelection() {
+    if (!this.selection) return this;
+
+    const { element, strokes } = this.selection;
+    const id = this._getElementId(element);
+    const before = this.paths[id];
+
+    this.paths[id] = before.filter(stroke => !strokes.includes(stroke));
+    this.clearSelection();
+    this._renderElement(element);
+    this._pushHistory([{ element, before, after: this.paths[id] }]);
+    return this;
+  }
+
+  /**
+   * Copy the selected strokes with a small offset and select the copies
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  duplicateSelection() {
+    if (!this.selection) return this;
+
+    const { element, strokes } = this.selection;
+    const id = this._getElementId(element);
+    const before = this.paths[id];
+    const offset = 10 / this._getViewScale(element);
+    const copies = strokes.map(stroke => {
+      const copy = this._transformStroke(stroke, {
+        map: point => ({ x: point.x + offset, y: point.y + offset }),
+        scale: 1,
+        angle: 0
+      });
+      copy.id = this._createStrokeId();
+      copy.clock = ++this.clock;
+      return copy;
+    });
+
+    this.paths[id] = [...before, ...copies];
+    this._renderElement(element);
+    this._pushHistory([{ element, before, after: this.paths[id] }]);
+    this._setSelection(element, copies);
+    return this;
+  }
+
+  /**
+   * Change the color of the selected strokes
+   * @param {string} color - CSS color value
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  recolorSelection(color) {
+    if (!this.selection) return this;
+
+    const { element, strokes } = this.selection;
+    this._replaceSelectedStrokes(element, strokes.map(stroke => ({ ...stroke, color })));
+    return this;
+  }
+
+  /**
+   * Deselect all strokes
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  clearSelection() {
+    if (!this.selection) return this;
+
+    const element = this.selection.element;
+    this.selection = null;
+    this._renderSelection(element);
+    return this;
+  }
+
+  /**
+   * Handle undo/redo keyboard shortcuts
+   * @private
+   */
+  handleKeyDown(event) {
+    // Only the pen the user is working with answers, not every pen on the page
+    const hasFocus = this.hasFocus === null ? keyboardInstances.size === 1 : this.hasFocus;
+    if (this.options.readOnly || !hasFocus) return;
+
+    // Leave text fields their native editing keys
+    const target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+      return;
+    }
+
+    const hasModifier = event.ctrlKey || event.metaKey || event.altKey;
+    if (this.selection && !hasModifier) {
+      if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        this.deleteSelection();
+        return;
+      } else if (event.key === 'Escape') {
+        this.clearSelection();
+        return;
+      }
+    }
+
+    // Single-key tool shortcuts; letters match either case
+    if (!hasModifier) {
+      const shortcuts = this.toolShortcuts;
+      const shortcut = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+      if (Object.prototype.hasOwnProperty.call(shortcuts, shortcut)) {
+        const tool = shortcuts[shortcut];
+        if (tool === null) {
+          this.deactivateTool();
+        } else if (this.activeTool !== tool) {
+          this.activateTool(tool);
+        }
+      }
+      return;
+    }
+
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'd' && this.selection) {
+      event.preventDefault();
+      this.duplicateSelection();
+    } else if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  /**
+   * Note whether the user last pointed at or focused one of the attached
+   * elements or the toolbar, which makes this pen the one that handles
+   * keyboard shortcuts
+   * @private
+   */
+  handleFocusChange(event) {
+    const target = event.target;
+    this.hasFocus = !!(this.toolbar && this.toolbar.contains(target)) ||
+      this.elements.some(element => element.contains(target));
+  }
+
+  /**
+   * Get the storage key of an attached element
+   * @private
+   */
+  _getElementId(element) {
+    return this.elementIds.get(element) || element.id || element.dataset.vectorPenId;
+  }
+
+  /**
+   * Make up an id for an element that has none, unused in the document.
+   * Numbering starts at the element's position, which earlier versions used
+   * as the id, so existing saved and shared drawings still match.
+   * @private
+   */
+  _generateElementId() {
+    let number = this.elements.length;
+    let id;
+    do {
+      id = `vector-pen-${++number}`;
+    } while (document.getElementById(id) || document.querySelector(`[data-vector-pen-id="${id}"]`) ||
+      this.elements.some(element => this._getElementId(element) === id));
+    return id;
+  }
+  
+  /**
+   * Set the color for the pen tool
+   * @param {string} color - CSS color value
+   */
+  setColor(color) {
+    this.options.strokeColor = color;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Set the stroke width for the pen tool
+   * @param {number} width - Width in pixels
+   */
+  setStrokeWidth(width) {
+    this.options.strokeWidth = width;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Set the style of new pen strokes and shapes. Properties that are not
+   * given keep their current value.
+   * @param {Object} style
+   * @param {string} [style.color] - CSS color value
+   * @param {number} [style.width] - Width in pixels
+   * @param {number} [style.opacity] - 0 to 1
+   * @param {Array|null} [style.dash] - Dash and gap lengths in stroke widths, e.g. [3, 2]
+   * @param {string|null} [style.linecap] - 'butt', 'round' or 'square'; null uses each tool's own
+   * @param {string|null} [style.linejoin] - 'miter', 'round' or 'bevel'; null uses each tool's own
+   */
+  setStrokeStyle(style) {
+    if (style.color !== undefined) this.options.strokeColor = style.color;
+    if (style.width !== undefined) this.options.strokeWidth = style.width;
+    if (style.opacity !== undefined) this.options.strokeOpacity = style.opacity;
+    if (style.dash !== undefined) this.options.strokeDash = style.dash;
+    if (style.linecap !== undefined) this.options.strokeLinecap = style.linecap;
+    if (style.linejoin !== undefined) this.options.strokeLinejoin = style.linejoin;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Get the style of new pen strokes
+   * @returns {Object} - { color, width, opacity, dash, linecap, linejoin }
+   */
+  getStrokeStyle() {
+    return {
+      color: this.options.strokeColor,
+      width: this.options.strokeWidth,
+      opacity: this.options.strokeOpacity,
+      dash: this.options.strokeDash,
+      linecap: this.options.strokeLinecap,
+      linejoin: this.options.strokeLinejoin
+    };
+  }
+
+  /**
+   * Switch to a named pen preset. What the preset leaves out of opacity,
+   * dash, linecap and linejoin is reset, its color and width default to
+   * the current ones. Activates the pen unless a shape tool is active.
+   * @param {string} name - Name of a preset in the presets option
+   */
+  usePreset(name) {
+    const preset = this.options.presets[name];
+    if (!preset) {
+      throw new Error(`VectorPen: unknown preset "${name}"`);
+    }
+
+    this.setStrokeStyle({
+      opacity: 1,
+      dash: null,
+      linecap: null,
+      linejoin: null,
+      ...preset
+    });
+    if (this.activeTool !== 'pen' && !SHAPE_TOOLS.includes(this.activeTool)) {
+      this.activateTool('pen');
+    }
+    return this;
+  }
+
+  /**
+   * Name of the preset the current pen style matches, if any
+   * @private
+   */
+  _getActivePreset() {
+    const current = this.getStrokeStyle();
+    const same = (a, b) => (a ?? null) === (b ?? null);
+    return Object.keys(this.options.presets).find(name => {
+      const preset = this.options.presets[name];
+      return (preset.color === undefined || preset.color === current.color) &&
+        (preset.width === undefined || preset.width === current.width) &&
+        same(preset.opacity ?? 1, current.opacity) &&
+        same(preset.dash ? preset.dash.join(' ') : null, current.dash ? current.dash.join(' ') : null) &&
+        same(preset.linecap, current.linecap) &&
+        same(preset.linejoin, current.linejoin);
+    }) || null;
+  }
+  
+  /**
+   * Set the eraser width
+   * @param {number} width - Width in pixels
+   */
+  setEraserWidth(width) {
+    this.options.eraserWidth = width;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Set the color for the highlighter tool
+   * @param {string} color - CSS color value
+   */
+  setHighlighterColor(color) {
+    this.options.highlighterColor = color;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Set the stroke width for the highlighter tool
+   * @param {number} width - Width in pixels
+   */
+  setHighlighterWidth(width) {
+    this.options.highlighterWidth = width;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Show the ink without toolbar, clear buttons or tools, or bring them back
+   * @param {boolean} readOnly
+   */
+  setReadOnly(readOnly) {
+    this.options.readOnly = readOnly;
+
+    if (readOnly && this.activeTool) {
+      const previousTool = this.activeTool;
+      this._releaseTool();
+      this._updateToolbarControls();
+      this._emit('toolchange', { tool: null, previousTool });
+    }
+
+    if (this.toolbar) this.toolbar.style.display = readOnly ? 'none' : '';
+    this.elements.forEach(element => {
+      const clearButton = element.querySelector('.clear-button');
+      if (clearButton) clearButton.style.display = readOnly ? 'none' : '';
+    });
+    return this;
+  }
+
+  /**
+   * Set which pointers can draw
+   * @param {string} mode - 'any', 'pen-only', or 'auto' to switch to
+   * pen-only once a stylus is used
+   */
+  setInputMode(mode) {
+    this.options.inputMode = mode;
+    this.penDetected = false; // 'auto' waits for the next stylus again
+    return this;
+  }
+
+  /**
+   * Set the font size of new text annotations
+   * @param {number} size - Size in pixels
+   */
+  setFontSize(size) {
+    this.options.fontSize = size;
+    this._updateToolbarControls();
+    return this;
+  }
+
+  /**
+   * Set how freehand strokes are stabilized, simplified and curved. Strokes
+   * are 'raw' unless the smoothing option says otherwise.
+   * @param {string|Object} smoothing - 'raw', 'light', 'medium', 'smooth',
+   * or { streamline, tolerance, curve }
+   */
+  setSmoothing(smoothing) {
+    this.options.smoothing = smoothing;
+    return this;
+  }
+
+  /**
+   * Set how a drag with the select tool picks strokes
+   * @param {string} mode - 'lasso' or 'rectangle'
+   */
+  setSelectionMode(mode) {
+    this.options.selectionMode = mode;
+    return this;
+  }
+
+  /**
+   * Set how strongly pressure, tilt and speed vary the stroke width. It is
+   * 0 unless the pressureSensitivity option says otherwise.
+   * @param {number} sensitivity - 0 (fixed width) to 1
+   */
+  setPressureSensitivity(sensitivity) {
+    this.options.pressureSensitivity = sensitivity;
+    return this;
+  }
+
+  /**
+   * Turn rough freehand lines, boxes and circles into clean shapes when the pen is lifted
+   * @param {boolean} enabled
+   */
+  setSnapToShape(enabled) {
+    this.options.snapToShape = enabled;
+    return this;
+  }
+
+  /**
+   * Set how the eraser treats the strokes it touches
+   * @param {string} mode - 'partial' cuts strokes, 'stroke' deletes whole strokes
+   */
+  setEraserMode(mode) {
+    this.options.eraserMode = mode;
+    return this;
+  }
+
+  /**
+   * Serialize the drawing of an element to a JSON-compatible document
+   * @param {HTMLElement|string} element - The element or its selector
+   * @returns {Object|null} - The document, or null if the element is not attached
+   */
+  serialize(element) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+    if (!element || !this.elements.includes(element)) return null;
+
+    const space = this._getDrawingSpace(element);
+
+    return {
+      version: SERIALIZATION_VERSION,
+      // Size of the drawing space: the image's natural size or the element's size
+      width: space.width,
+      height: space.height,
+      layers: this.layers[this._getElementId(element)].map(layer => ({ ...layer })),
+      strokes: this.paths[this._getElementId(element)].map(stroke => this._serializeStroke(stroke))
+    };
+  }
+
+  /**
+   * Size of the space an element's strokes are stored in
+   * @private
+   */
+  _getDrawingSpace(element) {
+    const space = this.views[this._getElementId(element)].space;
+    if (space) return space;
+    const rect = element.getBoundingClientRect();
+    return { width: rect.width, height: rect.height };
+  }
+
+  /**
+   * Serialize the drawings of all attached elements, keyed by element id
+   * @returns {Object}
+   */
+  serializeAll() {
+    const elements = {};
+    this.elements.forEach(element => {
+      elements[this._getElementId(element)] = this.serialize(element);
+    });
+
+    return {
+      version: SERIALIZATION_VERSION,
+      elements
+    };
+  }
+
+  /**
+   * Replace the drawing of an element with a serialized document.
+   * Points are scaled when the drawing space differs from the captured one.
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {Object|string} data - A document from serialize(), or its JSON string
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  load(element, data) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+    if (!element || !this.elements.includes(element)) return this;
+
+    const doc = this._parseDocument(data);
+    if (!Array.isArray(doc.strokes)) {
+      throw new Error('VectorPen: document has no strokes array');
+    }
+
+    if (this.isDrawing && this.activeElement === element) this.cancelDrawing();
+    if (this.selection && this.selection.element === element) this.clearSelection();
+    if (this.textEditor && this.textEditor.element === element) this._closeTextEditor(false);
+
+    if (Array.isArray(doc.layers) && doc.layers.length > 0) {
+      this._setLayers(element, doc.layers);
+    }
+
+    // Documents without clocks keep their stroke order
+    const strokes = this._readStrokes(element, doc)
+      .map(stroke => stroke.clock ? stroke : { ...stroke, clock: ++this.clock });
+
+    // A loaded drawing starts a fresh history for the element
+    const id = this._getElementId(element);
+    const before = this.paths[id];
+    this.paths[id] = strokes;
+    this.timelines[id] = { start: strokes, events: [] };
+    this._forgetHistory(element);
+    this._renderElement(element);
+    this._sendChanges([{ element, before, after: strokes }], 'change');
+    return this;
+  }
+
+  /**
+   * Turn the strokes of a serialized document into stroke records in the
+   * element's drawing space
+   * @private
+   * @param {HTMLElement} element - Attached element
+   * @param {Object} doc - Object with version, width, height and strokes
+   * @returns {Array} - Stroke records
+   */
+  _readStrokes(element, doc) {
+    const rect = element.getBoundingClientRect();
+    const view = this.views[this._getElementId(element)];
+    const space = this._getDrawingSpace(element);
+    const viewScale = this._getViewScale(element);
+
+    // Map document coordinates with x * scaleX + offsetX (and likewise for y)
+    let scaleX = doc.width && space.width ? space.width / doc.width : 1;
+    let scaleY = doc.height && space.height ? space.height / doc.height : 1;
+    let offsetX = 0;
+    let offsetY = 0;
+    if ((doc.version || 1) < SERIALIZATION_VERSION) {
+      // Version 1 and unversioned documents stored element pixels: scale them
+      // to the current element size, then convert from element pixels into
+      // the drawing space
+      scaleX = (doc.width && rect.width ? rect.width / doc.width : 1) / view.scaleX;
+      scaleY = (doc.height && rect.height ? rect.height / doc.height : 1) / view.scaleY;
+      offsetX = -view.offsetX / view.scaleX;
+      offsetY = -view.offsetY / view.scaleY;
+    }
+
+    return this._mapStrokes(doc.strokes, {
+      scaleX, scaleY, offsetX, offsetY, viewScale,
+      layer: this.activeLayers[this._getElementId(element)]
+    });
+  }
+
+  /**
+   * Load a document from serializeAll() into the attached elements with matching ids
+   * @param {Object|string} data - A document from serializeAll(), or its JSON string
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  loadAll(data) {
+    const doc = this._parseDocument(data);
+    const documents = doc.elements || {};
+
+    this.elements.forEach(element => {
+      const elementDoc = documents[this._getElementId(element)];
+      if (elementDoc) this.load(element, elementDoc);
+    });
+    return this;
+  }
+
+  /**
+   * Play the drawing of an element back stroke by stroke, in the order and
+   * at the pace it was drawn. Erasing, clearing and undo show up where they
+   * happened; pauses longer than a second are shortened. A loaded drawing
+   * starts with its strokes played in drawing order. The element ignores
+   * input until the replay ends. The replay is drawn over the hidden
+   * drawing, so changes made meanwhile, by the API or by peers, show once
+   * it ends.
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - Playback rate, e.g. 2 for double speed
+   * @returns {Promise<boolean>} - Resolves with true when the replay reached
+   * the end, false when it was stopped or the element is not attached
+   */
+  replay(element, options = {}) {
+    element = this._resolveElement(element);
+    if (!element) return Promise.resolve(false);
+
+    const id = this._getElementId(element);
+    this.stopReplay(element);
+    if (this.activeElement === element) this.cancelDrawing();
+    if (this.selection && this.selection.element === element) this.clearSelection();
+    if (this.textEditor && this.textEditor.element === element) this._closeTextEditor(true);
+
+    const speed = options.speed || 1;
+    const steps = this._getReplaySteps(id);
+
+    // Replay frames go to a copy of the layer groups, out of the way of
+    // anything that renders the drawing itself
+    const drawingGroup = this.drawingGroups[id];
+    const group = drawingGroup.cloneNode(true);
+    group.setAttribute('class', 'replay-group');
+    this._emptyDrawingGroup(group);
+    drawingGroup.parentNode.insertBefore(group, drawingGroup.nextSibling);
+    drawingGroup.setAttribute('display', 'none');
+
+    return new Promise(resolve => {
+      const replay = { frame: null, resolve, step: -1, group, partial: null };
+      this.replays[id] = replay;
+
+      let startTime = null;
+      const tick = now => {
+        if (startTime === null) startTime = now;
+        const elapsed = (now - startTime) * speed;
+
+        let index = replay.step;
+        while (index + 1 < steps.length && steps[index + 1].at <= elapsed) index++;
+        if (index !== replay.step) {
+          replay.step = index;
+          replay.partial = null;
+          this._renderReplayFrame(element, replay, steps[index].paths);
+        }
+
+        const step = steps[index];
+        if (step.stroke) {
+          this._renderReplayStroke(element, replay, step.stroke, elapsed - step.at);
+        } else if (index === steps.length - 1) {
+          this._finishReplay(element, true);
+          return;
+        }
+        replay.frame = requestAnimationFrame(tick);
+      };
+      replay.frame = requestAnimationFrame(tick);
+    });
+  }
+
+  /**
+   * Stop a running replay and show the drawing as it is
+   * @param {HTMLElement|string} element - The element or its selector
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  stopReplay(element) {
+    element = this._resolveElement(element);
+    if (element) this._finishReplay(element, false);
+    return this;
+  }
+
+  /**
+   * Whether a replay is running on an element
+   * @param {HTMLElement|string} element - The element or its selector
+   * @returns {boolean}
+   */
+  isReplaying(element) {
+    element = this._resolveElement(element);
+    return !!element && !!this.replays[this._getElementId(element)];
+  }
+
+  /**
+   * End the replay of an element, if any, and settle its promise
+   * @private
+   */
+  _finishReplay(element, completed) {
+    const id = this._getElementId(element);
+    const replay = this.replays[id];
+    if (!replay) return;
+
+    cancelAnimationFrame(replay.frame);
+    delete this.replays[id];
+    replay.group.remove();
+    this.drawingGroups[id].removeAttribute('display');
+    this._renderElement(element);
+    replay.resolve(completed);
+  }
+
+  /**
+   * Turn the timeline of an element into replay steps. Each step starts at
+   * a replay time in ms, shows a set of strokes and may draw one more
+   * stroke on top, point by point.
+   * @private
+   * @returns {Array<{at: number, paths: Array, stroke: (Object|undefined)}>}
+   */
+  _getReplaySteps(id) {
+    const { start, events } = this.timelines[id];
+    const steps = [{ at: 0, paths: [] }];
+    const getDuration = stroke => stroke.points ? stroke.points[stroke.points.length - 1].t || 0 : 0;
+    const getPause = gap => Math.min(Math.max(gap || 0, 0), REPLAY_MAX_PAUSE);
+    let at = 0;
+    let paths = [];
+    let lastTime = null; // Wall clock time the previous step ended at
+
+    const addStroke = (stroke, after) => {
+      const duration = getDuration(stroke);
+      if (lastTime !== null) at += getPause(stroke.createdAt - lastTime);
+      steps.push({ at, paths, stroke });
+      at += duration;
+      lastTime = stroke.createdAt + duration;
+      paths = after;
+      steps.push({ at, paths });
+    };
+
+    start.forEach((stroke, i) => addStroke(stroke, start.slice(0, i + 1)));
+
+    events.forEach(event => {
+      const next = this._applyDiff(paths, event.removed, event.added);
+      // New ink is drawn again at its own pace, everything else happens at once
+      if (event.type === 'stroke' && event.added.length === 1 && event.removed.length === 0) {
+        addStroke(event.added[0], next);
+        return;
+      }
+      if (lastTime !== null) at += getPause(event.time - lastTime);
+      lastTime = event.time;
+      paths = next;
+      steps.push({ at, paths });
+    });
+
+    return steps;
+  }
+
+  /**
+   * Show a set of strokes in the replay group of an element. Copies are
+   * rendered so the stored strokes keep their own elements.
+   * @private
+   */
+  _renderReplayFrame(element, replay, strokes) {
+    const svg = element.querySelector('.vector-pen-layer');
+    this._emptyDrawingGroup(replay.group);
+    strokes.forEach(stroke => this._renderStroke(svg, replay.group, { ...stroke }));
+  }
+
+  /**
+   * Draw the part of a stroke that was drawn within some ms of its start
+   * @private
+   */
+  _renderReplayStroke(element, replay, stroke, elapsed) {
+    if (replay.partial) {
+      const rendered = this.strokeElements.get(replay.partial);
+      if (rendered) rendered.remove();
+      replay.partial = null;
+    }
+
+    const partial = { ...stroke };
+    if (stroke.points) {
+      partial.points = stroke.points.filter(point => (point.t || 0) <= elapsed);
+      if (partial.points.length < 2) return;
+      partial.pathData = this._generateStrokeData(partial);
+    }
+
+    const svg = element.querySelector('.vector-pen-layer');
+    this._renderStroke(svg, replay.group, partial);
+    replay.partial = partial;
+  }
+
+  /**
+   * Log a change of an element's strokes for replay()
+   * @private
+   */
+  _recordTimeline(element, type, before, after) {
+    const timeline = this.timelines[this._getElementId(element)];
+    if (!timeline || before === after) return;
+    timeline.events.push({ type, time: Date.now(), ...this._diffPaths(before, after) });
+
+    // Fold the oldest changes into the starting strokes to bound memory
+    while (timeline.events.length > this.options.replayLimit) {
+      const { removed, added } = timeline.events.shift();
+      timeline.start = this._applyDiff(timeline.start, removed, added);
+    }
+  }
+
+  /**
+   * Save drawings to the persistence adapter right away instead of waiting
+   * for the debounced autosave
+   * @param {HTMLElement|string} [element] - Element to save; all elements with unsaved changes if omitted
+   * @returns {Promise} - Settles when the adapter has finished
+   */
+  save(element) {
+    if (!this.persistence) return Promise.resolve();
+
+    if (element) {
+      element = this._resolveElement(element);
+      return element ? this._saveElement(element) : Promise.resolve();
+    }
+    const pending = this.elements.filter(item => this.saveTimers[this._getElementId(item)]);
+    return Promise.all(pending.map(item => this._saveElement(item)));
+  }
+
+  /**
+   * Save unsaved changes before the page goes away
+   * @private
+   */
+  handlePageHide() {
+    this.save();
+  }
+
+  /**
+   * Key an element's drawing is stored under
+   * @private
+   */
+  _getStorageKey(element) {
+    const id = this._getElementId(element);
+    return this.persistence.key ? this.persistence.key(element, id) : id;
+  }
+
   /**
-   * Update SVG size to match element size
+   * Save an element's drawing once no change has followed for a moment
    * @private
    */
-  _updateSVGSize(element, svg) {
-    const rect = element.getBoundingClientRect();
-    svg.setAttribute("width", rect.width);
-    svg.setAttribute("height", rect.height);
-    svg.setAttribute("viewBox", `0 0 ${rect.width} ${rect.height}`);
+  _scheduleSave(element) {
+    if (!this.persistence) return;
+
+    const id = this._getElementId(element);
+    clearTimeout(this.saveTimers[id]);
+    const delay = this.persistence.delay ?? 500;
+    this.saveTimers[id] = setTimeout(() => this._saveElement(element), delay);
   }
-  
+
   /**
-   * Clear all drawings from an element
-   * @param {HTMLElement|string} element - The element or selector to clear
+   * Write an element's drawing to the adapter. An empty drawing removes the
+   * stored one.
+   * @private
+   * @returns {Promise}
    */
-  clear(element) {
-    if (typeof element === 'string') {
-      const elements = document.querySelectorAll(element);
-      elements.forEach(el => this._clearElement(el));
-      return this;
+  _saveElement(element) {
+    const id = this._getElementId(element);
+    clearTimeout(this.saveTimers[id]);
+    delete this.saveTimers[id];
+
+    const key = this._getStorageKey(element);
+    const adapter = this.persistence.adapter;
+    // Taken now, as the element may be detached before the adapter runs
+    const doc = this.paths[id].length === 0 && this.layers[id].length === 1 ? null : this.serialize(element);
+    return Promise.resolve()
+      .then(() => doc ? adapter.save(key, doc) : adapter.remove(key))
+      .then(() => this._emit('save', { element, id, key }))
+      .catch(error => this._emit('persistenceerror', { element, id, key, error }));
+  }
+
+  /**
+   * Load the stored drawing of a newly attached element. Synchronous
+   * adapters restore it at once, asynchronous ones as soon as it arrives,
+   * unless something was drawn on the element in the meantime.
+   * @private
+   */
+  _restoreElement(element) {
+    if (!this.persistence) return;
+
+    const id = this._getElementId(element);
+    const key = this._getStorageKey(element);
+    const restore = doc => {
+      if (!doc || !this.elements.includes(element) || this.paths[id].length > 0) return;
+      this.load(element, doc);
+      this._emit('restore', { element, id, key });
+    };
+    const fail = error => this._emit('persistenceerror', { element, id, key, error });
+
+    try {
+      const result = this.persistence.adapter.load(key);
+      if (result && typeof result.then === 'function') {
+        result.then(restore).catch(fail);
+      } else {
+        restore(result);
+      }
+    } catch (error) {
+      fail(error);
     }
-    
-    this._clearElement(element);
+  }
+
+  /**
+   * Share the drawing with other VectorPen instances through a transport.
+   * A transport has send(op), which delivers an operation to the peers,
+   * and onReceive(callback), which calls back with operations from them and
+   * may return a function that stops listening. Elements are matched by id.
+   * @param {Object} transport - e.g. a VectorPen.BroadcastChannelTransport
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  connect(transport) {
+    this.disconnect();
+    this.transport = transport;
+    const unsubscribe = transport.onReceive(this.receive);
+    this.unsubscribe = typeof unsubscribe === 'function' ? unsubscribe : null;
+
+    // Ask the peers for what they have drawn so far
+    this._send({ type: 'hello' });
     return this;
   }
 
   /**
-   * Clear drawings from a single element
+   * Stop sharing the drawing
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  disconnect() {
+    if (!this.transport) return this;
+
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.transport = null;
+
+    Object.keys(this.remoteStrokes).forEach(strokeId => this._removeRemoteStroke(strokeId));
+    return this;
+  }
+
+  /**
+   * Apply an operation from a peer. Called by the connected transport, and
+   * can be called directly when operations arrive some other way.
+   * @param {Object} op - Operation sent by another instance
+   * @returns {VectorPen} - Returns this instance for chaining
+   */
+  receive(op) {
+    if (!op || op.clientId === this.clientId) return this;
+    this.clock = Math.max(this.clock, op.clock || 0);
+
+    switch (op.type) {
+      case 'stroke':
+      case 'erase':
+      case 'clear':
+      case 'change':
+        this._applyRemoteChange(op);
+        break;
+      case 'strokeupdate':
+        this._updateRemoteStroke(op);
+        break;
+      case 'strokecancel':
+        this._removeRemoteStroke(op.strokeId);
+        break;
+      case 'hello':
+        this._sendSnapshot(op.clientId);
+        break;
+      case 'snapshot':
+        if (op.to === this.clientId) this._applySnapshot(op);
+        break;
+    }
+    return this;
+  }
+
+  /**
+   * Send an operation to the peers, stamped with this client and the Lamport clock
    * @private
+   * @returns {Object|null} - The operation sent, or null when not connected
    */
-  _clearElement(element) {
+  _send(op) {
+    if (!this.transport) return null;
+    const message = { ...op, clientId: this.clientId, clock: ++this.clock };
+    this.transport.send(message);
+    return message;
+  }
+
+  /**
+   * Send history changes as the strokes they removed and added
+   * @private
+   */
+  _sendChanges(changes, type) {
+    if (!this.transport) return;
+
+    changes.forEach(({ element, before, after }) => {
+      const { removed, added } = this._diffPaths(before, after);
+      if (removed.length === 0 && added.length === 0) return;
+
+      const space = this._getDrawingSpace(element);
+      const op = this._send({
+        type,
+        element: this._getElementId(element),
+        width: space.width,
+        height: space.height,
+        removed,
+        added: added.map(stroke => this._serializeStroke(stroke))
+      });
+
+      const stamp = [op.clock, op.clientId];
+      removed.forEach(id => this.strokeStamps.set(id, stamp));
+      added.forEach(stroke => this.strokeStamps.set(stroke.id, stamp));
+    });
+  }
+
+  /**
+   * Send the latest part of the stroke being drawn so peers can show it live
+   * @private
+   */
+  _sendStrokeUpdate(stroke) {
+    if (!this.transport) return;
+
+    const space = this._getDrawingSpace(this.activeElement);
+    let data;
+    if (stroke.params) {
+      data = this._serializeStroke(stroke);
+      this.sentPoints = 1;
+    } else {
+      // Peers already have the earlier points
+      data = this._serializeStroke({ ...stroke, points: stroke.points.slice(this.sentPoints) });
+      this.sentPoints = stroke.points.length;
+    }
+
+    this._send({
+      type: 'strokeupdate',
+      element: this._getElementId(this.activeElement),
+      width: space.width,
+      height: space.height,
+      strokeId: stroke.id,
+      stroke: data
+    });
+  }
+
+  /**
+   * Send everything drawn on the attached elements to a peer that joined
+   * @private
+   */
+  _sendSnapshot(clientId) {
+    const elements = {};
+    this.elements.forEach(element => {
+      elements[this._getElementId(element)] = this.serialize(element);
+    });
+    this._send({ type: 'snapshot', to: clientId, elements });
+  }
+
+  /**
+   * Apply a stroke, erase, clear or other change from a peer. For each stroke
+   * id the write with the highest Lamport stamp wins, so every client ends
+   * up with the same strokes whatever order operations arrive in.
+   * @private
+   */
+  _applyRemoteChange(op) {
+    const element = this._findElement(op.element);
+    if (!element) return;
+
+    const stamp = [op.clock, op.clientId];
+    const isLatest = id => {
+      const current = this.strokeStamps.get(id);
+      return !current || this._compareStamps(stamp, current) >= 0;
+    };
+    const removed = (op.removed || []).filter(isLatest);
+    const added = this._readStrokes(element, { ...op, version: SERIALIZATION_VERSION, strokes: op.added || [] })
+      .filter(stroke => isLatest(stroke.id));
+    removed.forEach(id => this.strokeStamps.set(id, stamp));
+    added.forEach(stroke => {
+      this.strokeStamps.set(stroke.id, stamp);
+      this._removeRemoteStroke(stroke.id);
+    });
+    if (removed.length === 0 && added.length === 0) return;
+
+    // Keep local work on this element consistent with the new strokes
+    const touched = new Set([...removed, ...added.map(stroke => stroke.id)]);
+    if (this.selection && this.selection.element === element &&
+        this.selection.strokes.some(stroke => touched.has(stroke.id))) {
+      this.clearSelection();
+    }
+    if (this.eraseBefore && this.activeElement === element) {
+      this.eraseBefore = this._applyDiff(this.eraseBefore, removed, added);
+    }
+
+    const id = this._getElementId(element);
+    const before = this.paths[id];
+    this.paths[id] = this._applyDiff(before, removed, added);
+    this._renderElement(element);
+    this._recordTimeline(element, op.type, before, this.paths[id]);
+    this._scheduleSave(element);
+    this._emit('remotechange', { element, id, type: op.type, removed, added });
+  }
+
+  /**
+   * Add the strokes of a peer's snapshot that this client has never seen
+   * @private
+   */
+  _applySnapshot(op) {
+    Object.keys(op.elements || {}).forEach(elementId => {
+      const element = this._findElement(elementId);
+      const doc = op.elements[elementId];
+      if (!element || !doc || !Array.isArray(doc.strokes)) return;
+
+      const id = this._getElementId(element);
+      const known = new Set(this.paths[id].map(stroke => stroke.id));
+      const strokes = doc.strokes.filter(stroke => stroke.id && !known.has(stroke.id) && !this.strokeStamps.has(stroke.id));
+      if (strokes.length === 0) return;
+
+      // A snapshot entry loses against any real write to the same stroke
+      const added = this._readStrokes(element, { ...doc, strokes });
+      added.forEach(stroke => this.strokeStamps.set(stroke.id, [0, op.clientId]));
+      const before = this.paths[id];
+      this.paths[id] = this._applyDiff(before, [], added);
+      this._renderElement(element);
+      this._recordTimeline(element, op.type, before, this.paths[id]);
+      this._scheduleSave(element);
+      this._emit('remotechange', { element, id, type: op.type, removed: [], added });
+    });
+  }
+
+  /**
+   * Draw the in-progress stroke of a peer
+   * @private
+   */
+  _updateRemoteStroke(op) {
+    const element = this._findElement(op.element);
+    if (!element || !op.stroke) return;
+
+    let entry = this.remoteStrokes[op.strokeId];
+    if (!entry) {
+      entry = { element, data: { ...op.stroke, points: op.stroke.points ? [] : undefined }, path: null };
+      this.remoteStrokes[op.strokeId] = entry;
+    }
+    if (op.stroke.params) entry.data.params = op.stroke.params;
+    if (op.stroke.points) entry.data.points.push(...op.stroke.points);
+
+    const stroke = this._readStrokes(element, { ...op, version: SERIALIZATION_VERSION, strokes: [entry.data] })[0];
+    if (!stroke) return;
+
+    if (!entry.path) {
+      const svgNS = "http://www.w3.org/2000/svg";
+      entry.path = document.createElementNS(svgNS, "path");
+      entry.path.setAttribute("class", "remote-path");
+      this._applyStrokeAttributes(entry.path, stroke);
+      this._getStrokeLayer(this.drawingGroups[this._getElementId(element)], stroke).appendChild(entry.path);
+    }
+    entry.path.setAttribute("d", stroke.pathData);
+  }
+
+  /**
+   * Stop showing a peer's in-progress stroke
+   * @private
+   */
+  _removeRemoteStroke(strokeId) {
+    const entry = this.remoteStrokes[strokeId];
+    if (!entry) return;
+    if (entry.path) entry.path.remove();
+    delete this.remoteStrokes[strokeId];
+  }
+
+  /**
+   * Find an attached element by its id
+   * @private
+   */
+  _findElement(id) {
+    return this.elements.find(element => this._getElementId(element) === id) || null;
+  }
+
+  /**
+   * Export the drawing of an element as a standalone SVG document
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {Object} [options]
+   * @param {boolean} [options.includeBackground=true] - Embed the element's <img> under the ink.
+   *   A cross-origin image served without CORS headers can't be embedded and is left out.
+   * @returns {string|null} - SVG markup, or null if the element is not attached
+   */
+  exportSVG(element, options = {}) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+    if (!element || !this.elements.includes(element)) return null;
+
     const svg = element.querySelector('.vector-pen-layer');
-    if (!svg) return;
-    
-    const id = element.id || `vector-pen-${this.elements.indexOf(element) + 1}`;
-    const drawingGroup = this.drawingGroups[id];
-    
-    // Clear all paths in the drawing group
-    while (drawingGroup.lastChild) {
-      drawingGroup.removeChild(drawingGroup.lastChild);
+    if (!svg) return null;
+
+    const includeBackground = options.includeBackground !== false;
+    const rect = element.getBoundingClientRect();
+
+    const view = this.views[this._getElementId(element)];
+
+    const clone = svg.cloneNode(true);
+    clone.removeAttribute('style');
+    clone.removeAttribute('class');
+    clone.removeAttribute('preserveAspectRatio');
+    clone.setAttribute('width', rect.width);
+    clone.setAttribute('height', rect.height);
+    clone.setAttribute('viewBox', `0 0 ${rect.width} ${rect.height}`);
+
+    // Drop anything belonging to a stroke in progress or to the selection UI
+    clone.querySelectorAll('.temp-path, .remote-path, .eraser-cursor, .selection-overlay, .selection-marquee, .replay-group')
+      .forEach(node => node.remove());
+
+    // The export is laid out in element pixels, the ink in drawing space
+    const drawingGroup = clone.querySelector('.drawing-group');
+    drawingGroup.removeAttribute('display'); // Hidden while a replay runs
+    drawingGroup.setAttribute('transform',
+      `translate(${view.offsetX} ${view.offsetY}) scale(${view.scaleX} ${view.scaleY})`);
+
+    if (includeBackground) {
+      const background = this._createBackgroundImage(element, rect);
+      if (background) {
+        const defs = clone.querySelector('defs');
+        clone.insertBefore(background, defs ? defs.nextSibling : clone.firstChild);
+      }
     }
-    
-    // Clear stored paths
-    if (this.paths[id]) {
-      this.paths[id] = [];
+
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  /**
+   * Export the drawing of an element as a PNG image
+   * @param {HTMLElement|string} element - The element or its selector
+   * @param {Object} [options]
+   * @param {number} [options.scale=1] - Output pixels per CSS pixel
+   * @param {boolean} [options.includeBackground=true] - Draw the element's <img> under the ink.
+   *   A cross-origin image served without CORS headers can't be drawn and is left out.
+   * @returns {Promise<Blob>} - Rejects if the element is not attached
+   */
+  exportPNG(element, options = {}) {
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
     }
+
+    const svgString = this.exportSVG(element, options);
+    if (!svgString) {
+      return Promise.reject(new Error('VectorPen: element is not attached'));
+    }
+
+    const scale = options.scale || 1;
+    const rect = element.getBoundingClientRect();
+
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }));
+      const image = new Image();
+
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(rect.width * scale);
+        canvas.height = Math.round(rect.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        try {
+          canvas.toBlob(blob => {
+            if (blob) {
+              resolve(blob);
+            } else {
+              reject(new Error('VectorPen: could not encode PNG'));
+            }
+          }, 'image/png');
+        } catch (error) {
+          // Browsers that treat SVG images as cross-origin taint the canvas
+          reject(error);
+        }
+      };
+
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('VectorPen: could not rasterize SVG'));
+      };
+
+      image.src = url;
+    });
   }
-  
+
   /**
-   * Set the color for the pen tool
-   * @param {string} color - CSS color value
+   * Create an SVG <image> that reproduces the element's <img> in place
+   * @private
    */
-  setColor(color) {
-    this.options.strokeColor = color;
-    return this;
+  _createBackgroundImage(element, elementRect) {
+    const img = element.querySelector('img');
+    if (!img || !img.complete || !img.naturalWidth) return null;
+    const href = this._getImageDataURL(img);
+    if (!href) return null;
+
+    const imgRect = this._getUnzoomedRect(img, elementRect, this.views[this._getElementId(element)]);
+    const svgNS = "http://www.w3.org/2000/svg";
+
+    // Map CSS object-fit onto the equivalent SVG aspect ratio handling
+    const fitModes = {
+      contain: 'xMidYMid meet',
+      'scale-down': 'xMidYMid meet',
+      cover: 'xMidYMid slice',
+      none: 'xMidYMid meet',
+      fill: 'none'
+    };
+    const objectFit = window.getComputedStyle(img).objectFit || 'fill';
+
+    const image = document.createElementNS(svgNS, 'image');
+    image.setAttribute('x', imgRect.left - elementRect.left);
+    image.setAttribute('y', imgRect.top - elementRect.top);
+    image.setAttribute('width', imgRect.width);
+    image.setAttribute('height', imgRect.height);
+    image.setAttribute('preserveAspectRatio', fitModes[objectFit] || 'none');
+    image.setAttribute('href', href);
+    return image;
   }
 
   /**
-   * Set the stroke width for the pen tool
-   * @param {number} width - Width in pixels
+   * Inline an image as a data URL so the export is self-contained.
+   * Returns null for a cross-origin image that can't be read: its URL would
+   * not load once the SVG is rasterized, so the image is left out instead.
+   * @private
    */
-  setStrokeWidth(width) {
-    this.options.strokeWidth = width;
-    return this;
+  _getImageDataURL(img) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      return canvas.toDataURL('image/png');
+    } catch (error) {
+      return null;
+    }
   }
-  
+
+}
+
+/**
+ * Sync transport over a BroadcastChannel, sharing a drawing between tabs
+ * of the same browser
+ */
+class BroadcastChannelTransport {
   /**
-   * Set the eraser width
-   * @param {number} width - Width in pixels
+   * @param {string} [name='vector-pen'] - Channel name, one per shared drawing
    */
-  setEraserWidth(width) {
-    this.options.eraserWidth = width;
-    return this;
+  constructor(name = 'vector-pen') {
+    this.channel = new BroadcastChannel(name);
+  }
+
+  send(op) {
+    this.channel.postMessage(op);
+  }
+
+  onReceive(callback) {
+    const handleMessage = (event) => callback(event.data);
+    this.channel.addEventListener('message', handleMessage);
+    return () => this.channel.removeEventListener('message', handleMessage);
+  }
+
+  close() {
+    this.channel.close();
+  }
+}
+
+/**
+ * Sync transport over a WebSocket. The server is expected to relay every
+ * message to the other clients of the same drawing.
+ */
+class WebSocketTransport {
+  /**
+   * @param {WebSocket|string} socket - An open or connecting WebSocket, or its URL
+   */
+  constructor(socket) {
+    this.socket = typeof socket === 'string' ? new WebSocket(socket) : socket;
+    this.queue = []; // Messages sent before the socket opened
+
+    this.socket.addEventListener('open', () => {
+      this.queue.forEach(message => this.socket.send(message));
+      this.queue = [];
+    });
+  }
+
+  send(op) {
+    const message = JSON.stringify(op);
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(message);
+    } else {
+      this.queue.push(message);
+    }
+  }
+
+  onReceive(callback) {
+    const handleMessage = (event) => {
+      let op;
+      try {
+        op = JSON.parse(event.data);
+      } catch (error) {
+        return; // Not one of ours
+      }
+      callback(op);
+    };
+    this.socket.addEventListener('message', handleMessage);
+    return () => this.socket.removeEventListener('message', handleMessage);
+  }
+
+  close() {
+    this.socket.close();
+  }
+}
+
+/**
+ * Persistence adapter that keeps drawings in localStorage as JSON
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix='vector-pen:'] - Prepended to every key
+   * @param {Storage} [options.storage=localStorage] - e.g. sessionStorage
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix ?? 'vector-pen:';
+    this.storage = options.storage || localStorage;
+  }
+
+  load(key) {
+    const json = this.storage.getItem(this.prefix + key);
+    return json ? JSON.parse(json) : null;
+  }
+
+  save(key, doc) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(doc));
+  }
+
+  remove(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+}
+
+/**
+ * Persistence adapter that keeps drawings in an IndexedDB object store,
+ * which has room for far more ink than localStorage
+ */
+class IndexedDBAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='vector-pen'] - Database name
+   * @param {string} [options.storeName='drawings'] - Object store name
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'vector-pen';
+    this.storeName = options.storeName || 'drawings';
+    this.db = null; // Promise of the open database
+  }
+
+  load(key) {
+    return this._request('readonly', store => store.get(key)).then(doc => doc || null);
+  }
+
+  save(key, doc) {
+    return this._request('readwrite', store => store.put(doc, key));
+  }
+
+  remove(key) {
+    return this._request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Run one request against the object store
+   * @private
+   */
+  _request(mode, makeRequest) {
+    return this._open().then(db => new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @private
+   */
+  _open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
   }
 }
 
+VectorPen.BroadcastChannelTransport = BroadcastChannelTransport;
+VectorPen.WebSocketTransport = WebSocketTransport;
+VectorPen.LocalStorageAdapter = LocalStorageAdapter;
+VectorPen.IndexedDBAdapter = IndexedDBAdapter;
+
 // Export as global or module
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VectorPen;